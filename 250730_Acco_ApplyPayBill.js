@@ -16,13 +16,27 @@
 const scriptProperties = PropertiesService.getScriptProperties();
 
 function onOpen() {
-  SpreadsheetApp.getUi()
-      .createMenu('郵件自動化工具')
+  const ui = SpreadsheetApp.getUi();
+  ui.createMenu('郵件自動化工具')
       .addItem('參數設定', 'showSettingsDialog')
       .addSeparator()
-      .addItem('執行正式寄信', 'sendMonthlyEmail')
+      .addItem('執行正式寄信', 'menuSendMonthlyEmail')
       .addItem('預覽寄送給自己', 'sendPreviewToSelf')
+      .addItem('模擬寄信 (指定日期)', 'menuDryRunMonthlyEmail')
+      .addItem('核准正式信', 'menuReviewApproval')
+      .addItem('強制重新寄送本月正式信', 'forceResendMonthlyEmail')
+      .addItem('查看寄信紀錄', 'showSendHistoryDialog')
+      .addItem('繳交追蹤', 'showSubmissionDashboard')
+      .addItem('未來 12 個月寄信日預測', 'showScheduleForecast')
+      .addItem('系統警示', 'menuShowAlerts')
+      .addSeparator()
+      .addSubMenu(ui.createMenu('排程管理')
+          .addItem('查看排程狀態', 'menuShowTriggerStatus')
+          .addItem('安裝排程', 'menuInstallTriggers')
+          .addItem('修復排程', 'menuRepairTriggers')
+          .addItem('移除排程', 'menuRemoveTriggers'))
       .addToUi();
+  showAlertBanner();
 }
 
 function showSettingsDialog() {
@@ -37,26 +51,59 @@ function showSettingsDialog() {
   }
 }
 
-function saveSettings(settings) {
+// 回傳 { success, message, errors }，驗證失敗時不儲存 (errors 見 validateSettings)；儲存成功後另存一個設定版本
+// campaignId 為設定介面中選擇的通知活動 (見 Campaigns.js)，未指定時為預設活動
+function saveSettings(settings, campaignId) {
   try {
-    scriptProperties.setProperties(settings);
+    if (!findCampaign(scriptProperties.getProperties(), campaignId)) {
+      return { success: false, message: '儲存失敗：找不到指定的通知活動，請重新開啟設定介面。' };
+    }
+    const errors = validateSettings(settings, scriptProperties.getProperties(), campaignId);
+    if (errors.length) {
+      return { success: false, message: '儲存失敗：' + errors.map(error => error.message).join('；'), errors: errors };
+    }
+    ensureInitialSettingsRevision();
+    scriptProperties.setProperties(toCampaignProperties(settings, campaignId));
+    cleanupTemplateProperties(settings, campaignId);
+    recordSettingsRevision('儲存設定');
     console.log('設定已儲存:', settings);
-    return '設定已成功儲存！';
+    return { success: true, message: '設定已成功儲存！' };
   } catch (e) {
     logError(e, 'saveSettings');
-    return '儲存失敗，請檢查日誌。';
+    return { success: false, message: '儲存失敗，請檢查日誌。' };
   }
 }
 
-function getSettings() {
+// properties 為 campaignId 所指通知活動看到的設定 (共用設定加上該活動的設定)
+function getSettings(campaignId) {
   try {
+    const all = scriptProperties.getProperties();
+    const campaign = findCampaign(all, campaignId) || findCampaign(all, DEFAULT_CAMPAIGN_ID);
+    const properties = getCampaignSettings(all, campaign.id);
     return {
-      properties: scriptProperties.getProperties(),
-      defaultSenderName: getDefaultSenderName()
+      properties: properties,
+      campaignId: campaign.id,
+      campaigns: getCampaigns(all),
+      templates: getTemplates(properties),
+      defaultSenderName: getDefaultSenderName(),
+      defaultRules: { send: DEFAULT_SEND_RULE, deadline: DEFAULT_DEADLINE_RULE },
+      defaultFollowUps: DEFAULT_FOLLOW_UPS,
+      defaultHolidayCacheTtlDays: DEFAULT_HOLIDAY_CACHE_TTL_DAYS,
+      defaultApprovalLeadDays: DEFAULT_APPROVAL_LEAD_DAYS
     };
   } catch (e) {
     logError(e, 'getSettings');
-    return { properties: {}, defaultSenderName: '' };
+    return {
+      properties: {},
+      campaignId: DEFAULT_CAMPAIGN_ID,
+      campaigns: [],
+      templates: [],
+      defaultSenderName: '',
+      defaultRules: { send: DEFAULT_SEND_RULE, deadline: DEFAULT_DEADLINE_RULE },
+      defaultFollowUps: DEFAULT_FOLLOW_UPS,
+      defaultHolidayCacheTtlDays: DEFAULT_HOLIDAY_CACHE_TTL_DAYS,
+      defaultApprovalLeadDays: DEFAULT_APPROVAL_LEAD_DAYS
+    };
   }
 }
 
@@ -75,163 +122,445 @@ function getDefaultSenderName() {
 // SECTION: 假日快取管理
 // =================================================================
 
+// 成功回傳 true；失敗時保留原本的快取
 function updateHolidayCache() {
   try {
     const url = "https://calendar.google.com/calendar/ical/zh-tw.taiwan%23holiday%40group.v.calendar.google.com/public/basic.ics";
     const icalData = UrlFetchApp.fetch(url).getContentText();
     const parsed = parseHolidayData(icalData);
-    scriptProperties.setProperty('holidayCache', JSON.stringify(parsed));
+    scriptProperties.setProperty('holidayCache', JSON.stringify({ holidays: parsed.holidays, workdays: parsed.workdays }));
     scriptProperties.setProperty('holidayCacheUpdated', new Date().toISOString());
     console.log('假日資料已更新快取');
+    // 因重複規則不支援而略過的事件與快取一起保存，排程更新後設定介面也能顯示
+    if (parsed.skipped.length) {
+      const skipped = `${parsed.skipped.length} 個使用不支援重複規則的事件：${describeSkippedIcsEvents(parsed.skipped)}`;
+      scriptProperties.setProperty('holidayCacheSkipped', skipped);
+      logError(`假日資料略過 ${skipped}，請以「假日調整」工作表補上。`, 'updateHolidayCache');
+    } else {
+      scriptProperties.deleteProperty('holidayCacheSkipped');
+    }
+    const missingYears = findMissingHolidayYears(combineHolidaySources(parsed, readFallbackHolidayData()), getRequiredHolidayYears(new Date()));
+    if (missingYears.length) {
+      logError(`假日資料未涵蓋 ${missingYears.join('、')} 年，請匯入政府行政機關辦公日曆表作為備援。`, 'updateHolidayCache');
+    }
+    return true;
   } catch (e) {
     logError(e, 'updateHolidayCache');
+    return false;
   }
 }
 
+// 公開行事曆資料合併「假日調整」工作表中的公司自訂休假、補班與忽略項目
 function getCachedHolidayData() {
-  const cache = scriptProperties.getProperty('holidayCache');
-  if (cache) {
-    try {
-      return JSON.parse(cache);
-    } catch (e) {
-      logError(e, 'getCachedHolidayData');
-      return { holidays: [], workdays: [] };
+  return mergeHolidayOverrides(getPublicHolidayData(), loadHolidayOverrides());
+}
+
+// 只讀取現有的快取，過期也不重新抓取或寫入 (模擬寄信用)
+function readCachedHolidayData() {
+  const cache = readHolidayCache() || { holidays: [], workdays: [] };
+  return mergeHolidayOverrides(combineHolidaySources(cache, readFallbackHolidayData()), loadHolidayOverrides());
+}
+
+// 同一次執行中只嘗試更新一次，避免抓取失敗時重複連線
+let holidayRefreshAttempted = false;
+
+// Google 公開行事曆快取 (超過有效期限時自動更新)，並以匯入的政府行事曆補足未涵蓋的年度
+function getPublicHolidayData() {
+  let cache = readHolidayCache();
+  if ((!cache || isHolidayCacheStale()) && !holidayRefreshAttempted) {
+    holidayRefreshAttempted = true;
+    if (updateHolidayCache()) {
+      cache = readHolidayCache();
+    } else if (cache) {
+      console.warn('假日資料更新失敗，暫時沿用過期的快取資料。');
     }
   }
-  // 若無快取則即時抓取並快取
+  return combineHolidaySources(cache || { holidays: [], workdays: [] }, readFallbackHolidayData());
+}
+
+function readHolidayCache() {
+  const cache = scriptProperties.getProperty('holidayCache');
+  if (!cache) return null;
   try {
-    updateHolidayCache();
-    const cache2 = scriptProperties.getProperty('holidayCache');
-    if (cache2) return JSON.parse(cache2);
+    return JSON.parse(cache);
   } catch (e) {
-    logError(e, 'getCachedHolidayData-fetch');
+    logError(e, 'readHolidayCache');
+    return null;
   }
-  return { holidays: [], workdays: [] };
 }
 
 // =================================================================
 // SECTION: 發信日計算
 // =================================================================
 
-function getSendDate(year, month, holidays, workdays) {
+// 日期規則：
+// - monthOffset: 0 = 當月，1 = 次月 (截止日常用)
+// - mode: 'day' = 固定日期 (day 為負數表示月底倒數，-1 = 最後一天)；'workingDay' = 第 n 個工作日 (n 為負數表示倒數)
+// - roll: 固定日期遇假日時 'backward' 往前、'forward' 往後、'none' 不調整
+const DEFAULT_SEND_RULE = { monthOffset: 0, mode: 'day', day: 25, n: 1, roll: 'backward' };
+const DEFAULT_DEADLINE_RULE = { monthOffset: 1, mode: 'day', day: 5, n: 1, roll: 'forward' };
+
+function normalizeScheduleRule(rule, defaults) {
+  rule = Object.assign({}, defaults, rule || {});
+  const toInt = (value, fallback) => {
+    const parsed = parseInt(value, 10);
+    return isNaN(parsed) || parsed === 0 ? fallback : parsed;
+  };
+  return {
+    monthOffset: parseInt(rule.monthOffset, 10) === 1 ? 1 : 0,
+    mode: rule.mode === 'workingDay' ? 'workingDay' : 'day',
+    day: Math.max(-31, Math.min(31, toInt(rule.day, defaults.day))),
+    n: Math.max(-23, Math.min(23, toInt(rule.n, defaults.n))),
+    roll: ['backward', 'forward', 'none'].indexOf(rule.roll) !== -1 ? rule.roll : defaults.roll
+  };
+}
+
+function parseScheduleRule(json, defaults) {
+  if (!json) return normalizeScheduleRule(null, defaults);
+  try {
+    return normalizeScheduleRule(typeof json === 'string' ? JSON.parse(json) : json, defaults);
+  } catch (e) {
+    logError(e, 'parseScheduleRule');
+    return normalizeScheduleRule(null, defaults);
+  }
+}
+
+// 依年月取得適用範本 (見 TemplateLibrary.js) 的寄信日與截止日規則；沒有適用範本時使用預設規則
+function getScheduleRules(settings, year, month) {
+  const template = getTemplateForMonth(settings, year, month);
+  return {
+    sendRule: template ? template.sendRule : normalizeScheduleRule(null, DEFAULT_SEND_RULE),
+    deadlineRule: template ? template.deadlineRule : normalizeScheduleRule(null, DEFAULT_DEADLINE_RULE)
+  };
+}
+
+function isWorkingDay(date, holidays, workdays) {
+  const time = new Date(date.getFullYear(), date.getMonth(), date.getDate()).getTime();
+  // 補班日一律視為工作日
+  if (workdays.indexOf(time) !== -1) return true;
+  const dayOfWeek = date.getDay();
+  return !(dayOfWeek === 0 || dayOfWeek === 6 || holidays.indexOf(time) !== -1);
+}
+
+// 依規則計算 year/month 對應的日期；找不到符合的工作日時回傳 null
+// trace 若有傳入，會加入計算過程中略過的非工作日 (寄信日預測用來說明日期為何調整)
+function resolveRuleDate(rule, year, month, holidays, workdays, trace) {
   holidays = Array.isArray(holidays) ? holidays : [];
   workdays = Array.isArray(workdays) ? workdays : [];
-  let date = new Date(year, month - 1, 25);
-  while (true) {
-    const time = new Date(date.getFullYear(), date.getMonth(), date.getDate()).getTime();
-    let dayOfWeek = date.getDay();
-    // 若是假日且不是補班日，往前一天
-    if ((dayOfWeek === 0 || dayOfWeek === 6 || holidays.indexOf(time) !== -1) && workdays.indexOf(time) === -1) {
-      date.setDate(date.getDate() - 1);
-      // 如果已經跨月，代表整月都沒有可用的工作日
-      if (date.getMonth() + 1 !== month) {
-        return null;
+  const base = new Date(year, month - 1 + rule.monthOffset, 1);
+  const targetYear = base.getFullYear();
+  const targetMonth = base.getMonth();
+  const daysInMonth = new Date(targetYear, targetMonth + 1, 0).getDate();
+
+  if (rule.mode === 'workingDay') {
+    const step = rule.n > 0 ? 1 : -1;
+    const date = new Date(targetYear, targetMonth, step > 0 ? 1 : daysInMonth);
+    let count = 0;
+    while (date.getMonth() === targetMonth) {
+      if (!isWorkingDay(date, holidays, workdays)) {
+        if (trace) trace.push(new Date(date));
+      } else if (++count === Math.abs(rule.n)) {
+        return date;
       }
-    } else {
-      break;
+      date.setDate(date.getDate() + step);
     }
+    return null;
+  }
+
+  const day = rule.day > 0 ? Math.min(rule.day, daysInMonth) : Math.max(1, daysInMonth + rule.day + 1);
+  const date = new Date(targetYear, targetMonth, day);
+  if (rule.roll === 'none') return date;
+  const step = rule.roll === 'forward' ? 1 : -1;
+  // 最多調整 31 天，避免資料異常時無窮迴圈
+  for (let i = 0; i < 31; i++) {
+    if (isWorkingDay(date, holidays, workdays)) return date;
+    if (trace) trace.push(new Date(date));
+    date.setDate(date.getDate() + step);
   }
-  // 檢查是否有效日期
-  if (isNaN(date.getTime())) {
+  return null;
+}
+
+function getSendDate(year, month, holidays, workdays, rule, trace) {
+  const date = resolveRuleDate(normalizeScheduleRule(rule, DEFAULT_SEND_RULE), year, month, holidays, workdays, trace);
+  // 如果已經跨月，代表本月沒有可用的寄信日
+  if (!date || isNaN(date.getTime()) || date.getMonth() + 1 !== month) {
     return null;
   }
-  return new Date(date.getFullYear(), date.getMonth(), date.getDate());
+  return date;
+}
+
+function getDeadlineDate(year, month, holidays, workdays, rule, trace) {
+  return resolveRuleDate(normalizeScheduleRule(rule, DEFAULT_DEADLINE_RULE), year, month, holidays, workdays, trace);
 }
 
 // =================================================================
 // SECTION: 核心寄信邏輯
 // =================================================================
 
-function sendMonthlyEmail() {
+// e 為時間觸發器傳入的事件物件 (含 triggerUid)；由選單執行時為 undefined
+// options.force 為 true 時略過「同月份只寄一次」的檢查
+// options.month 為 {year, month} 時寄出該月的正式信，不檢查今天是否為寄信日 (核准後補寄暫停的正式信)
+// env 可替換時間、資料來源與寄信動作 (見 SendEnvironment.js)，模擬寄信與測試用
+// 回傳 {status, message, year, month, ...} 說明本次執行的結果；失敗時通知管理員，排程執行時另安排當天稍後重試
+// 每次執行前先補寄前一次因配額不足而延後的收件者 (見 SendMonitor.js)
+function sendMonthlyEmail(e, options, env) {
+  options = options || {};
+  env = createSendEnvironment(env);
+  const isTriggered = !!(e && e.triggerUid);
+  const now = env.now();
+  const year = options.month ? options.month.year : now.getFullYear();
+  const month = options.month ? options.month.month : now.getMonth() + 1;
+  let result;
+  const lock = env.getLock();
+  if (!lock.tryLock(30000)) {
+    logError('另一個寄信程序正在執行中，本次略過。', 'sendMonthlyEmail');
+    result = { status: 'locked', message: '另一個寄信程序正在執行中', year: year, month: month };
+  } else {
+    try {
+      resumePendingSends(env);
+      result = _runMonthlySend(now, isTriggered, options, env);
+    } catch (e) {
+      logError(e, 'sendMonthlyEmail');
+      result = { status: 'error', message: e && e.message ? e.message : String(e), year: year, month: month };
+    } finally {
+      lock.releaseLock();
+    }
+  }
   try {
-    const now = new Date();
-    const year = now.getFullYear();
-    const month = now.getMonth() + 1;
-    const holidayData = getCachedHolidayData();
-    const sendDate = getSendDate(year, month, holidayData.holidays, holidayData.workdays);
+    handleMonthlySendResult(result, isTriggered, env);
+  } catch (e) {
+    logError(e, 'handleMonthlySendResult');
+  }
+  return result;
+}
 
-    if (!sendDate) {
-      logError('本月無有效寄信日（可能整月都是假日或資料異常）。', 'sendMonthlyEmail');
-      return;
-    }
+// sendMonthlyEmail 取得鎖定後的寄信判斷
+function _runMonthlySend(now, isTriggered, options, env) {
+  const year = options.month ? options.month.year : now.getFullYear();
+  const month = options.month ? options.month.month : now.getMonth() + 1;
+  const result = (status, message, extra) => Object.assign({ status: status, message: message, year: year, month: month }, extra);
+  const holidayData = env.getHolidayData();
+  const settings = env.getSettings();
+  const rules = getScheduleRules(settings, year, month);
+  const sendDate = getSendDate(year, month, holidayData.holidays, holidayData.workdays, rules.sendRule);
 
-    // 只在發信日當天寄信
-    if (
+  if (!sendDate) {
+    logError('本月無有效寄信日（可能整月都是假日或資料異常）。', 'sendMonthlyEmail');
+    return result('noSendDate', '本月無有效寄信日');
+  }
+
+  // 只在發信日當天寄信 (補寄暫停的正式信除外)
+  if (
+    options.month || (
       now.getFullYear() === sendDate.getFullYear() &&
       now.getMonth() === sendDate.getMonth() &&
-      now.getDate() === sendDate.getDate()
-    ) {
-      const settings = scriptProperties.getProperties();
-      if (!settings.recipient) {
-        logError('尚未設定收件者。請透過「郵件自動化工具 > 參數設定」選單進行設定。', 'sendMonthlyEmail');
-        return;
-      }
-      console.log(`今天是 ${year}/${month}/${now.getDate()}，為本月發信日，開始準備正式郵件。`);
-      _coreSendEmail(settings.recipient, true, year, month);
-    } else {
-      console.log(`今天 (${year}/${month}/${now.getDate()}) 不是本月發信日 (${sendDate.getFullYear()}/${sendDate.getMonth()+1}/${sendDate.getDate()})，正式信件未寄出。`);
+      now.getDate() === sendDate.getDate())
+  ) {
+    // 寄信月份與截止日月份都必須有可信的假日資料，否則寄信日與截止日可能算錯
+    const missingYears = findMissingHolidayYears(holidayData, getRuleYears(year, month, rules));
+    if (missingYears.length) {
+      const message = `假日資料未涵蓋 ${missingYears.join('、')} 年，正式信已暫停寄送。請更新假日資料或匯入政府行政機關辦公日曆表後，再手動執行正式寄信。`;
+      logError(message, 'sendMonthlyEmail');
+      env.recordSendHistory({ year, month, kind: 'official', isTriggered, success: false, message });
+      env.sendAlert(`【郵件自動化工具】${year}/${month} 正式信暫停寄送`, message, `official:${year}/${month}:missingHolidayData`);
+      return result('missingHolidayData', message, { sendDate: sendDate });
     }
-  } catch (e) {
-    logError(e, 'sendMonthlyEmail');
+    const template = getTemplateForMonth(settings, year, month);
+    if (!template) {
+      logError(`${year}/${month} 沒有適用的信件範本，正式信未寄出。`, 'sendMonthlyEmail');
+      env.recordSendHistory({ year, month, kind: 'official', isTriggered, success: false, message: '沒有適用的信件範本' });
+      return result('noTemplate', '沒有適用的信件範本', { sendDate: sendDate });
+    }
+    const recipients = env.resolveRecipients(settings, year, month);
+    if (!countRecipients(recipients)) {
+      logError('尚未設定收件者。請透過「郵件自動化工具 > 參數設定」選單進行設定。', 'sendMonthlyEmail');
+      env.recordSendHistory({ year, month, kind: 'official', isTriggered, success: false, message: '尚未設定收件者' });
+      return result('noRecipients', '尚未設定收件者', { sendDate: sendDate, templateName: template.name });
+    }
+    if (hasPendingSend(env, year, month, 'official')) {
+      console.log(`${year}/${month} 的正式信尚有收件者等待配額補寄，本次不重新寄送。`);
+      return result('pending', '本月正式信尚有收件者等待補寄', { sendDate: sendDate, templateName: template.name });
+    }
+    if (!options.force && env.hasSuccessfulSend(year, month, 'official')) {
+      logError(`${year}/${month} 的正式信已寄送過，本次不再寄送。如需重新寄送請使用「強制重新寄送本月正式信」。`, 'sendMonthlyEmail');
+      return result('alreadySent', '本月正式信已寄送過', { sendDate: sendDate, templateName: template.name });
+    }
+    const approval = checkApprovalBeforeSend(settings, year, month, sendDate, isTriggered, env);
+    if (approval.hold) {
+      logError(approval.message, 'sendMonthlyEmail');
+      env.recordSendHistory({ year, month, kind: 'official', isTriggered, success: false, message: approval.message });
+      return result('awaitingApproval', approval.message, { sendDate: sendDate, templateName: template.name });
+    }
+    console.log(options.month
+        ? `補寄 ${year}/${month} 暫停的正式信，使用範本「${template.name}」。`
+        : `今天是 ${year}/${month}/${now.getDate()}，為本月發信日，使用範本「${template.name}」準備正式郵件。`);
+    const status = _coreSendEmail(recipients, isTriggered, year, month, 'official', {}, env);
+    const messages = {
+      sent: '正式信已寄出',
+      partial: '今日寄信配額不足，部分收件者已延後到下次排程執行時補寄，詳情請見寄信紀錄',
+      failed: '正式信寄送失敗，詳情請見寄信紀錄'
+    };
+    return result(status, messages[status], { sendDate: sendDate, templateName: template.name, recipients: recipients });
+  } else {
+    maybeRequestApproval(now, settings, holidayData, env);
+    console.log(`今天 (${year}/${month}/${now.getDate()}) 不是本月發信日 (${sendDate.getFullYear()}/${sendDate.getMonth()+1}/${sendDate.getDate()})，正式信件未寄出。`);
+    return result('notSendDate', `今天不是本月發信日 (${formatDate(sendDate)})`, { sendDate: sendDate });
   }
 }
 
+// 以已儲存的範本寄送預覽信；尚未儲存的範本可在設定介面的預覽畫面選擇月份並寄送測試信
 function sendPreviewToSelf() {
+  const ui = SpreadsheetApp.getUi();
   try {
     const selfEmail = Session.getActiveUser().getEmail();
     if (!selfEmail) {
-      logError('無法取得您的 Email 地址，無法寄送預覽信。', 'sendPreviewToSelf');
+      ui.alert('無法取得您的 Email 地址，無法寄送預覽信。');
       return;
     }
-    // 彈窗選擇年份和月份
-    const ui = SpreadsheetApp.getUi();
-    const response = ui.prompt('請輸入年份(例如2024)及月份(1-12)', '格式: YYYY-MM，例如: 2024-12', ui.ButtonSet.OK_CANCEL);
+    const campaign = promptCampaign(ui, '預覽寄送給自己');
+    if (!campaign) return;
+    const response = ui.prompt('預覽寄送給自己', '請輸入要預覽的年月 (格式: YYYY-MM，例如 2024-12)，留空則為本月。', ui.ButtonSet.OK_CANCEL);
     if (response.getSelectedButton() !== ui.Button.OK) return;
-    const match = response.getResponseText().match(/^(\d{4})-(\d{1,2})$/);
-    if (!match) {
-      logError('格式錯誤，請輸入正確的年份及月份 (例如: 2024-12)', 'sendPreviewToSelf');
-      return;
-    }
-    const year = parseInt(match[1], 10);
-    const month = parseInt(match[2], 10);
-    if (month < 1 || month > 12) {
-      logError('月份必須介於 1 到 12', 'sendPreviewToSelf');
+    const target = parsePreviewMonth(response.getResponseText(), new Date());
+    if (!target) {
+      ui.alert('年月格式錯誤，請輸入例如 2024-12 (月份需介於 1 到 12)。');
       return;
     }
-    console.log(`準備寄送預覽信至: ${selfEmail}, 年份: ${year}, 月份: ${month}`);
-    _coreSendEmail(selfEmail, false, year, month);
-    // 不再用 alert
-    console.log(`預覽信件已寄送至您的信箱: ${selfEmail}`);
+    console.log(`準備寄送預覽信至: ${selfEmail}, 年份: ${target.year}, 月份: ${target.month}`);
+    const status = _coreSendEmail(selfEmail, false, target.year, target.month, 'preview', {}, createSendEnvironment({ campaignId: campaign.id }));
+    ui.alert(status === 'sent'
+        ? `${target.year}/${target.month} 的預覽信已寄送至 ${selfEmail}。`
+        : '預覽信寄送失敗，原因請見「查看寄信紀錄」。');
   } catch (e) {
     logError(e, 'sendPreviewToSelf');
+    ui.alert('預覽信寄送失敗，請檢查日誌。');
   }
 }
 
-function _coreSendEmail(recipient, isTriggered, year, month) {
+// 解析 YYYY-MM (設定介面的月份選擇器也是這個格式)；空白時為 today 所在月份，格式錯誤時回傳 null
+function parsePreviewMonth(text, today) {
+  const value = String(text || '').trim();
+  if (!value) return { year: today.getFullYear(), month: today.getMonth() + 1 };
+  const match = value.match(/^(\d{4})-(\d{1,2})$/);
+  if (!match) return null;
+  const month = parseInt(match[2], 10);
+  return month >= 1 && month <= 12 ? { year: parseInt(match[1], 10), month: month } : null;
+}
+
+// kind: 'official' (正式信)、'preview' (預覽信) 或 'followUp:<id>' (追蹤提醒信)，寄送結果會寫入寄信紀錄
+// recipient 可為逗號分隔的 Email 字串，或 resolveRecipients 回傳的 {to, cc, bcc}
+// options.template / options.variables 會傳給 processEmailTemplates；env 見 SendEnvironment.js
+// 雲端硬碟附件依當月適用範本的設定 (追蹤提醒信也沿用當月範本)，檔案異常時照常寄出並發出警示
+// 收件者超過單封上限時分批寄出；超過今日剩餘配額的批次存入待寄清單，下次排程執行時補寄
+// 設定寄件別名時以該別名與其簽名檔寄出，別名無法使用時不寄出 (見 SenderAliases.js)
+// 回傳 'sent'、'partial' (部分收件者延後補寄) 或 'failed'
+function _coreSendEmail(recipient, isTriggered, year, month, kind, options, env) {
+  options = options || {};
+  env = env || createSendEnvironment();
+  const recipients = typeof recipient === 'string'
+      ? { to: parseEmailList(recipient), cc: [], bcc: [] }
+      : recipient;
+  let subject = '';
+  let warnings = [];
   try {
-    const settings = scriptProperties.getProperties();
+    const settings = env.getSettings();
     const senderName = settings.senderName;
-    const { subject, body } = processEmailTemplates(settings, year, month);
-
-    if (!recipient || !subject || !body) {
+    const monthTemplate = getTemplateForMonth(settings, year, month);
+    // 指定的範本本身是信件範本 (例如設定介面中尚未儲存的範本) 時使用它的雲端硬碟設定，追蹤提醒信沿用當月範本
+    const driveTemplate = options.template && options.template.daysBefore === undefined ? options.template : monthTemplate;
+    const drive = env.prepareDriveAttachments(driveTemplate, true);
+    warnings = drive.warnings;
+    const variables = Object.assign({ attachmentLinks: buildAttachmentLinksMarkdown(drive.links) }, options.variables || {});
+    const processed = processEmailTemplates(settings, year, month, options.template || monthTemplate, variables, env.getHolidayData());
+    subject = processed.subject;
+    const body = processed.body;
+
+    if (!countRecipients(recipients) || !subject || !body) {
       throw new Error('收件者、信件主旨或內文範本尚未設定。');
     }
+    const unresolved = findUnresolvedPlaceholders(subject + '\n' + body);
+    if (unresolved.length) {
+      throw new Error(`範本含有未定義的變數 ${unresolved.join('、')}，已停止寄送。`);
+    }
 
-    const finalHtmlBody = markdownToHtml(body);
-    const signature = getGmailSignature();
-    const fullBody = `<html><body>${finalHtmlBody}${signature}</body></html>`;
+    const sender = resolveSender(settings, env);
+    const bodies = composeEmailBodies(body, settings, sender.signature);
 
-    MailApp.sendEmail({
-      to: recipient,
-      subject: subject,
-      htmlBody: fullBody,
-      name: senderName
-    });
+    const quota = env.getRemainingQuota(sender.from);
+    const plan = planQuotaBatches(splitRecipientBatches(recipients), quota);
+    if (plan.later.length && kind === 'preview') {
+      throw new Error(`今日寄信配額不足 (剩餘 ${quota})，無法寄送預覽信。`);
+    }
+    const sentBatches = [];
+    let deferred = plan.later;
+    let batchError = null;
+    for (let i = 0; i < plan.now.length; i++) {
+      const batch = plan.now[i];
+      try {
+        const message = {
+          // 只有 CC/BCC 收件者時，To 填寄件人自己
+          to: batch.to.length ? batch.to.join(',') : (sender.from || env.getSenderEmail()),
+          cc: batch.cc.join(','),
+          bcc: batch.bcc.join(','),
+          subject: subject,
+          body: bodies.text,
+          htmlBody: bodies.html,
+          attachments: drive.attachments,
+          name: senderName || sender.name
+        };
+        if (sender.from) message.from = sender.from;
+        env.sendEmail(message);
+        sentBatches.push(batch);
+      } catch (e) {
+        // 第一封就失敗時視為整體失敗；已寄出部分時其餘收件者改為待寄，避免重試時重複寄給已收到的人
+        if (!sentBatches.length) throw e;
+        batchError = e;
+        deferred = plan.now.slice(i).concat(plan.later);
+        break;
+      }
+    }
 
-    console.log("郵件已成功寄送至: " + recipient);
+    const sent = mergeRecipientBatches(sentBatches);
+    const count = countRecipients(sent);
+    let message = '';
+    if (count) {
+      console.log(`郵件已成功寄送至 ${count} 位收件者: ${describeRecipients(sent)}`);
+      message = `實際寄送 ${count} 位收件者 (To ${sent.to.length} / CC ${sent.cc.length} / BCC ${sent.bcc.length})`;
+      if (sentBatches.length > 1) message += `，分 ${sentBatches.length} 封寄出`;
+    }
+    if (deferred.length) {
+      const rest = mergeRecipientBatches(deferred);
+      const reason = batchError ? `寄送中斷 (${batchError.message})` : `今日寄信配額不足 (剩餘 ${quota})`;
+      const saved = addPendingSend(env, { year, month, kind, recipients: rest, options });
+      const note = saved
+          ? `${reason}，其餘 ${countRecipients(rest)} 位收件者將於下次排程執行時補寄`
+          : `${reason}，且無法儲存待寄清單，請手動補寄給：${describeRecipients(rest)}`;
+      message = message ? `${message}。${note}` : note;
+      logError(note, '_coreSendEmail');
+      // 補寄時仍不足不重複通知
+      env.sendAlert(`【郵件自動化工具】${year}/${month} 信件延後寄送`, `信件「${subject}」${note}。`, `deferred:${kind}:${year}/${month}`);
+    }
+    if (drive.attachments.length && count) message += `，附件 ${drive.attachments.length} 個`;
+    if (warnings.length) {
+      message += '。附件警示：' + warnings.join('；');
+      logError('附件警示：' + warnings.join('；'), '_coreSendEmail');
+      if (kind !== 'preview') {
+        env.sendAlert(`【郵件自動化工具】${year}/${month} 信件附件異常`, `信件「${subject}」已寄出，但雲端硬碟附件有以下問題：\n\n${warnings.join('\n')}`);
+      }
+    }
+    // 全部延後時不算寄出，待補寄成功後才寫入成功紀錄
+    env.recordSendHistory({
+      year, month, kind, isTriggered, recipients: describeRecipients(count ? sent : recipients), subject, success: count > 0, message
+    });
+    return deferred.length ? 'partial' : 'sent';
 
   } catch (e) {
     logError(e, '_coreSendEmail');
+    env.recordSendHistory({
+      year, month, kind, isTriggered, recipients: describeRecipients(recipients), subject, success: false,
+      message: e && e.message ? e.message : String(e)
+    });
+    return 'failed';
   }
 }
 
@@ -239,7 +568,10 @@ function _coreSendEmail(recipient, isTriggered, year, month) {
 // SECTION: 輔助函式
 // =================================================================
 
-function processEmailTemplates(settings, year, month) {
+// 未指定 template 時使用範本庫中適用該年月的範本；template 為 {subject, body} 時改用該範本 (例如追蹤提醒信)，
+// 範本沒有截止日規則時沿用該月適用範本的規則。extraVariables 為額外的 {{變數}} 對照表
+// holidayData 未指定時使用 getCachedHolidayData；範本語法見 TemplateEngine.js，未定義的變數會保留原標記
+function processEmailTemplates(settings, year, month, template, extraVariables, holidayData) {
   let now;
   if (year && month) {
     now = new Date(year, month - 1, 1);
@@ -249,31 +581,27 @@ function processEmailTemplates(settings, year, month) {
   const currentMonth = now.getMonth() + 1;
   const currentYear = now.getFullYear();
   const rocYear = currentYear - 1911;
-
-  let subject, body;
-  const holidayData = getCachedHolidayData();
-
-  if (currentMonth === 12) {
-    subject = settings.subjectDecember || '';
-    body = settings.bodyDecember || '';
-    const nextRocYear = rocYear + 1;
-    const deadlineDate = calculateDeadline(currentYear, 12, holidayData.holidays, holidayData.workdays);
-    subject = subject.replace(/{{nextRocYear}}/g, nextRocYear);
-    body = body.replace(/{{nextRocYear}}/g, nextRocYear);
-    subject = subject.replace(/{{deadlineDate}}/g, deadlineDate);
-    body = body.replace(/{{deadlineDate}}/g, deadlineDate);
-  } else {
-    subject = settings.subjectNormal || '';
-    body = settings.bodyNormal || '';
-    const deadlineDate = calculateDeadline(currentYear, currentMonth, holidayData.holidays, holidayData.workdays);
-    subject = subject.replace(/{{deadlineDate}}/g, deadlineDate);
-    body = body.replace(/{{deadlineDate}}/g, deadlineDate);
-  }
-
-  subject = subject.replace(/{{rocYear}}/g, rocYear).replace(/{{currentMonth}}/g, currentMonth);
-  body = body.replace(/{{rocYear}}/g, rocYear).replace(/{{currentMonth}}/g, currentMonth);
-
-  return { subject, body };
+  const isDecember = currentMonth === 12;
+
+  holidayData = holidayData || getCachedHolidayData();
+  template = template || getTemplateForMonth(settings, currentYear, currentMonth) || {};
+  const deadlineRule = template.deadlineRule
+      ? parseScheduleRule(template.deadlineRule, DEFAULT_DEADLINE_RULE)
+      : getScheduleRules(settings, currentYear, currentMonth).deadlineRule;
+  const subject = template.subject || '';
+  const body = template.body || '';
+
+  const variables = Object.assign(getCustomVariableMap(settings), {
+    rocYear: rocYear,
+    currentYear: currentYear,
+    currentMonth: currentMonth,
+    nextRocYear: rocYear + 1,
+    deadlineDate: calculateDeadline(currentYear, currentMonth, holidayData.holidays, holidayData.workdays, deadlineRule),
+    december: isDecember,
+    attachmentLinks: ''
+  }, extraVariables || {});
+
+  return { subject: renderTemplate(subject, variables), body: renderTemplate(body, variables) };
 }
 
 function getAndParseHolidayData() {
@@ -281,84 +609,13 @@ function getAndParseHolidayData() {
   return getCachedHolidayData();
 }
 
-function parseHolidayData(icalData) {
-  const holidays = [];
-  const workdays = [];
-  const events = icalData.split('BEGIN:VEVENT');
-  
-  events.forEach(event => {
-    if (!event.includes('DTSTART')) return;
-
-    const summaryMatch = event.match(/SUMMARY:(.+)/);
-    const descriptionMatch = event.match(/DESCRIPTION:(.+)/);
-    const dtstartMatch = event.match(/DTSTART;VALUE=DATE:(\d{8})/);
-
-    if (dtstartMatch && summaryMatch && descriptionMatch) {
-      const dateStr = dtstartMatch[1];
-      const summary = summaryMatch[1].trim();
-      const description = descriptionMatch[1].trim();
-      
-      const date = new Date(parseInt(dateStr.substring(0, 4)), parseInt(dateStr.substring(4, 6)) - 1, parseInt(dateStr.substring(6, 8)));
-
-      if (summary.includes('補班')) {
-        workdays.push(date.getTime());
-      } else if (description.includes('國定假日') || summary.includes('補假') || summary.includes('厂礼拜')) {
-        holidays.push(date.getTime());
-      }
-    }
-  });
-
-  return { holidays, workdays };
+function calculateDeadline(year, month, holidays, workdays, rule) {
+  const deadline = getDeadlineDate(year, month, holidays, workdays, rule);
+  return deadline ? formatRocDate(deadline) : '';
 }
 
-function calculateDeadline(year, month, holidays, workdays) {
-  let deadline = new Date(year, month, 5);
-  while (true) {
-    const deadlineTime = new Date(deadline.getFullYear(), deadline.getMonth(), deadline.getDate()).getTime();
-    let dayOfWeek = deadline.getDay();
-    if (workdays.indexOf(deadlineTime) !== -1) {
-      break;
-    }
-    if ((dayOfWeek === 6 || dayOfWeek === 0) || holidays.indexOf(deadlineTime) !== -1) {
-      deadline.setDate(deadline.getDate() + 1);
-    } else {
-      break;
-    }
-  }
-  const rocYear = deadline.getFullYear() - 1911;
-  const nextMonth = deadline.getMonth() + 1;
-  const day = deadline.getDate();
-  return `${rocYear}年${nextMonth}月${day}日`;
-}
-
-function markdownToHtml(text) {
-  if (!text) return '';
-
-  let html = text
-    .replace(/&/g, '&amp;')
-    .replace(/</g, '&lt;')
-    .replace(/>/g, '&gt;');
-
-  // Custom Tags - Order is important
-  // Specific colored tags first
-  html = html.replace(/\*\*紅字\*\*(.+?)\*\*紅字\*\*/g, '<span style="background-color:#ffff00; color:#cc0000; font-weight:bold;">$1</span>');
-  html = html.replace(/\*\*黃底\*\*(.+?)\*\*黃底\*\*/g, '<span style="background-color:#ffff00; color:#000000; font-weight:bold;">$1</span>');
-  
-  // General bold tag
-  html = html.replace(/\*\*([^*]+)\*\*/g, '<strong>$1</strong>');
-  
-  // Links
-  html = html.replace(/\x5B([^\\]+?)\x5D\(([^)]+?)\)/g, '<a href="$2" target="_blank">$1</a>');
-
-  // List items (handles 'l', '•', or '-')
-  html = html.replace(/^\s*[l•-]\s+(.*)/gm, '<li>$1</li>');
-  html = html.replace(/(<li>.*<\/li>\s*)+/g, '<ul>$&</ul>');
-
-  // Newlines
-  html = html.replace(/\r\n|\n|\r/g, '<br>\n');
-  html = html.replace(/<br>\n<ul>/g, '<ul>').replace(/<\/ul><br>\n/g, '</ul>');
-
-  return html;
+function formatRocDate(date) {
+  return `${date.getFullYear() - 1911}年${date.getMonth() + 1}月${date.getDate()}日`;
 }
 
 function getGmailSignature() {
@@ -372,40 +629,130 @@ function getGmailSignature() {
   }
 }
 
-function generatePreviewHtml(templateObject, templateType, year, month) {
+// templateObject 為設定介面中編輯中的範本；含 daysBefore 時視為追蹤提醒信
+// 未指定年月時，使用本月起第一個符合範本適用條件的月份；campaignId 為範本所屬的通知活動
+// 回傳 {settings, template, isFollowUp, year, month, variables}，settings 已套用設定介面中尚未儲存的
+// 自訂變數、格式標記與寄件別名
+function resolveDraftTemplate(templateObject, year, month, campaignId) {
+  const settings = getCampaignSettings(scriptProperties.getProperties(), campaignId);
+  ['customVariables', 'styleMarkers', 'senderAlias'].forEach(key => {
+    if (templateObject[key] !== undefined) settings[key] = templateObject[key];
+  });
+  const isFollowUp = templateObject.daysBefore !== undefined;
+  const template = isFollowUp ? templateObject : normalizeTemplate(templateObject, 0);
+  let draftYear = year;
+  let draftMonth = month;
+  if (!(year && month)) {
+    const now = new Date();
+    const next = isFollowUp ? null : findNextTemplateMonth(template, now);
+    draftYear = next ? next.year : now.getFullYear();
+    draftMonth = next ? next.month : now.getMonth() + 1;
+  }
+  return {
+    settings: settings, template: template, isFollowUp: isFollowUp, year: draftYear, month: draftMonth,
+    variables: isFollowUp ? buildFollowUpVariables(templateObject.daysBefore) : {}
+  };
+}
+
+// 參數見 resolveDraftTemplate；設定介面輸入時即時預覽也使用本函式
+// 回傳 {subject, html, text, year, month, attachments, warnings, unresolved}，text 為實際寄出的純文字版本，
+// html 為實際寄出的 HTML 但未定義的變數 (unresolved) 以醒目標示；失敗時回傳 {error}
+function generatePreview(templateObject, year, month, campaignId) {
   try {
-    const settings = {
-      subjectNormal: templateObject.subject, 
-      bodyNormal: templateObject.body, 
-      subjectDecember: templateObject.subject, 
-      bodyDecember: templateObject.body
-    };
-    // 預覽時讓使用者選擇年份和月份
-    let previewYear, previewMonth;
-    if (year && month) {
-      previewYear = year;
-      previewMonth = month;
-    } else {
-      const now = new Date();
-      previewYear = now.getFullYear();
-      if (templateType === 'december') {
-        previewMonth = 12;
-      } else {
-        previewMonth = now.getMonth() + 1;
-        if (previewMonth === 12) previewMonth = 11;
-      }
+    const draft = resolveDraftTemplate(templateObject, year, month, campaignId);
+    const settings = draft.settings;
+    const previewYear = draft.year;
+    const previewMonth = draft.month;
+    // 預覽只檢查雲端硬碟項目，不實際載入附件
+    const drive = prepareDriveAttachments(draft.isFollowUp ? getTemplateForMonth(settings, previewYear, previewMonth) : draft.template, false);
+    const variables = Object.assign({ attachmentLinks: buildAttachmentLinksMarkdown(drive.links) }, draft.variables);
+    const { subject, body } = processEmailTemplates(settings, previewYear, previewMonth, draft.template, variables);
+
+    // 寄件別名無法使用時仍產生預覽，並在警示中說明
+    let signature = '';
+    try {
+      signature = resolveSender(settings, createSendEnvironment({ campaignId: campaignId })).signature;
+    } catch (e) {
+      drive.warnings.push(e.message);
     }
-    const { subject, body } = processEmailTemplates(settings, previewYear, previewMonth);
+    const bodies = composeEmailBodies(body, settings, signature);
+    return {
+      subject: subject, html: highlightUnresolvedPlaceholders(bodies.html), text: bodies.text, year: previewYear, month: previewMonth,
+      attachments: drive.links.map(link => link.name), warnings: drive.warnings,
+      unresolved: findUnresolvedPlaceholders(subject + '\n' + body).filter((item, i, list) => list.indexOf(item) === i)
+    };
+  } catch (e) {
+    logError(e, 'generatePreview');
+    return { error: '產生預覽失敗，請檢查日誌。' };
+  }
+}
+
+const MAX_TEST_RECIPIENTS = 10;
 
-    const finalHtmlBody = markdownToHtml(body);
-    const signature = getGmailSignature();
-    return `<h4>主旨: ${subject}</h4><hr>${finalHtmlBody}${signature}`;
+/**
+ * 以設定介面中編輯中 (可尚未儲存) 的範本寄送測試信，參數見 resolveDraftTemplate。
+ * recipients 為逗號分隔的 Email，留空時寄給自己；寄信紀錄的類型為 preview。
+ * @return {{success: boolean, message: string}}
+ */
+function sendTestEmail(templateObject, year, month, recipients, campaignId) {
+  try {
+    const emails = String(recipients || '').trim() ? parseEmailList(recipients) : [Session.getActiveUser().getEmail()].filter(Boolean);
+    const invalid = emails.filter(email => !isValidEmail(email));
+    if (!emails.length) return { success: false, message: '無法取得您的 Email 地址，請輸入測試信的收件者。' };
+    if (invalid.length) return { success: false, message: `收件者格式錯誤：${invalid.join(', ')}` };
+    if (emails.length > MAX_TEST_RECIPIENTS) return { success: false, message: `測試信最多寄給 ${MAX_TEST_RECIPIENTS} 位收件者。` };
+
+    const draft = resolveDraftTemplate(templateObject, year, month, campaignId);
+    const env = createSendEnvironment({ campaignId: campaignId, getSettings: () => draft.settings });
+    // 寄信紀錄照常寫入，同時留下失敗原因 (例如未定義的變數、寄件別名無法使用) 回報給設定介面
+    const record = env.recordSendHistory;
+    let failure = '';
+    env.recordSendHistory = entry => {
+      if (!entry.success) failure = entry.message;
+      record(entry);
+    };
+    const status = _coreSendEmail(emails.join(','), false, draft.year, draft.month, 'preview', {
+      template: draft.template,
+      variables: draft.variables
+    }, env);
+    return status === 'sent'
+        ? { success: true, message: `已寄送 ${draft.year}/${draft.month} 的測試信給 ${emails.join(', ')}。` }
+        : { success: false, message: `測試信寄送失敗：${failure || '原因請見寄信紀錄。'}` };
+  } catch (e) {
+    logError(e, 'sendTestEmail');
+    return { success: false, message: '測試信寄送失敗，請檢查日誌。' };
+  }
+}
+
+// 寄送系統警示給管理員 (未設定時為執行排程的帳號)；寄送失敗只記錄 log
+// 需要在開啟試算表時提示或避免重複通知時改用 notifyAdmin
+function sendAlertEmail(subject, message) {
+  try {
+    MailApp.sendEmail({
+      to: getAdminEmails(scriptProperties.getProperties()).join(','),
+      subject: subject,
+      body: message
+    });
   } catch (e) {
-    logError(e, 'generatePreviewHtml');
-    return '產生預覽失敗，請檢查日誌。';
+    logError(e, 'sendAlertEmail');
   }
 }
 
+// 由 Google 雲端硬碟網址或 ID 取出檔案 ID
+function extractDriveId(text) {
+  const value = String(text || '').trim();
+  const match = value.match(/\/d\/([\w-]{10,})/) || value.match(/[?&]id=([\w-]{10,})/) || value.match(/\/folders\/([\w-]{10,})/);
+  return match ? match[1] : value;
+}
+
+function formatDate(date) {
+  return `${date.getFullYear()}/${date.getMonth() + 1}/${date.getDate()}`;
+}
+
+function formatDateTime(date) {
+  return Utilities.formatDate(date, Session.getScriptTimeZone(), 'yyyy/MM/dd HH:mm');
+}
+
 function logError(e, context) {
   const msg = `[${context}] ${e && e.message ? e.message : e}`;
   console.error(msg);
@@ -413,9 +760,12 @@ function logError(e, context) {
   Logger.log(msg);
 }
 
-function testShowSendDate(year, month) {
-  const holidayData = getCachedHolidayData();
-  const sendDate = getSendDate(year, month, holidayData.holidays, holidayData.workdays);
+// campaignId 未指定時查詢預設通知活動；與 sendMonthlyEmail 相同讀取該活動的設定
+function testShowSendDate(year, month, campaignId) {
+  const env = createSendEnvironment({ campaignId: campaignId });
+  const holidayData = env.getHolidayData();
+  const rules = getScheduleRules(env.getSettings(), year, month);
+  const sendDate = getSendDate(year, month, holidayData.holidays, holidayData.workdays, rules.sendRule);
   if (!sendDate) {
     console.log(`本月(${year}/${month})無有效寄信日`);
   } else {
@@ -423,5 +773,6 @@ function testShowSendDate(year, month) {
   }
 }
 
-//範例：查詢 2025 年 12 月寄信日
+//範例：查詢 2025 年 12 月寄信日 (第二行指定通知活動)
 //testShowSendDate(2025, 12);
+//testShowSendDate(2025, 12, 'campaignId');
@@ -0,0 +1,317 @@
+/**
+ * @fileoverview 寄出前核准：啟用後，於寄信日前數個工作日將當月正式信的預覽寄給核准人 (草稿模式另在 Gmail 建立草稿)，
+ * 核准人從試算表選單核准後，寄信日才會寄出正式信。未核准時依設定照常寄出，或暫停寄送並通知管理員；
+ * 暫停後才核准時立即補寄。核准後信件內容若有變更 (例如截止日或範本被修改)，需重新核准。
+ */
+
+// =================================================================
+// SECTION: 核准設定
+// =================================================================
+
+const APPROVAL_MODES = ['off', 'email', 'draft'];
+const APPROVAL_FALLBACKS = ['send', 'hold'];
+const DEFAULT_APPROVAL_LEAD_DAYS = 2;
+// 核准與退回也寫入寄信紀錄 (不影響「同月份只寄一次」的檢查)
+const APPROVAL_HISTORY_KIND = 'approval';
+
+function getApprovalSettings(settings) {
+  const mode = APPROVAL_MODES.indexOf(settings.approvalMode) !== -1 ? settings.approvalMode : 'off';
+  const leadDays = parseInt(settings.approvalLeadDays, 10);
+  return {
+    mode: mode,
+    enabled: mode !== 'off',
+    approvers: parseEmailList(settings.approverEmail).filter(isValidEmail),
+    leadDays: leadDays >= 1 ? leadDays : DEFAULT_APPROVAL_LEAD_DAYS,
+    fallback: APPROVAL_FALLBACKS.indexOf(settings.approvalFallback) !== -1 ? settings.approvalFallback : 'hold'
+  };
+}
+
+function collectApprovalSettingErrors(settings) {
+  const approval = getApprovalSettings(settings);
+  return approval.enabled && !approval.approvers.length
+      ? [{ field: 'approverEmail', message: '啟用寄出前核准時，請填寫核准人 Email' }]
+      : [];
+}
+
+// =================================================================
+// SECTION: 核准判斷 (純函式，方便測試)
+// =================================================================
+
+// 比對核准時與寄出時的信件內容 (FNV-1a)
+function hashText(text) {
+  let hash = 0x811c9dc5;
+  const value = String(text);
+  for (let i = 0; i < value.length; i++) {
+    hash ^= value.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193) >>> 0;
+  }
+  return ('0000000' + hash.toString(16)).slice(-8);
+}
+
+// 回傳 user 不能核准的原因，可以核准時回傳空字串；設定核准人時，無法取得使用者 Email (例如個人帳號或其他網域) 也不能核准
+function getApproverDenial(approvers, user) {
+  if (!approvers.length) return '';
+  if (!user) return '無法確認您的 Google 帳號，不能核准正式信。請以核准人的帳號登入後再試。';
+  const allowed = approvers.map(email => email.toLowerCase());
+  return allowed.indexOf(user.toLowerCase()) === -1 ? `只有核准人 (${allowed.join(', ')}) 可以核准正式信。` : '';
+}
+
+/**
+ * 判斷該月正式信是否已核准。state 為 approvalState (只保留最近一次的核准請求)。
+ * @return {{approved: boolean, reason: string}}
+ */
+function evaluateApproval(state, year, month, hash) {
+  if (!state || state.year !== year || state.month !== month) return { approved: false, reason: '尚未送出核准請求' };
+  if (state.status === 'rejected') return { approved: false, reason: '核准人已退回' };
+  if (state.status !== 'approved') return { approved: false, reason: '核准人尚未核准' };
+  if (state.hash !== hash) return { approved: false, reason: '核准後信件內容已變更，需重新核准' };
+  return { approved: true, reason: '' };
+}
+
+// 核准或退回後的狀態；內容已變更的請求不可直接核准 (需重新送核)
+function decideApproval(state, approved, user, now) {
+  return Object.assign({}, state, {
+    status: approved ? 'approved' : 'rejected',
+    decidedBy: user || '',
+    decidedAt: now.toISOString()
+  });
+}
+
+// 今天是否在送核期間 (寄信日前 leadDays 個工作日起，到寄信日前一天)
+function isApprovalRequestDue(today, sendDate, leadDays, holidays, workdays) {
+  const start = subtractWorkingDays(sendDate, leadDays, holidays, workdays);
+  const day = new Date(today.getFullYear(), today.getMonth(), today.getDate());
+  return day >= start && day < sendDate;
+}
+
+// =================================================================
+// SECTION: 送核
+// =================================================================
+
+// 以正式信相同的範本流程產生信件內容 (不載入附件)
+function renderOfficialPreview(settings, year, month, env) {
+  const template = getTemplateForMonth(settings, year, month);
+  const drive = env.prepareDriveAttachments(template, false);
+  const processed = processEmailTemplates(settings, year, month, template,
+      { attachmentLinks: buildAttachmentLinksMarkdown(drive.links) }, env.getHolidayData());
+  return {
+    subject: processed.subject,
+    body: processed.body,
+    attachments: drive.links.map(link => link.name),
+    hash: hashText(processed.subject + '\n' + processed.body)
+  };
+}
+
+function buildApprovalRequestHtml(info, preview, settings, signature) {
+  const escape = text => String(text == null ? '' : text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+  const rows = [
+    ['寄信日', info.sendDate],
+    ['收件者', `${info.recipients} 位`],
+    ['主旨', preview.subject],
+    ['雲端硬碟檔案', preview.attachments.join('、') || '-'],
+    ['未核准時', info.fallback === 'send' ? '照常寄出' : '暫停寄送']
+  ];
+  return wrapEmailHtml(
+      `<p>${info.year}/${info.month} 的正式信預計於 <b>${escape(info.sendDate)}</b> 寄出，請確認以下內容。</p>` +
+      '<table cellpadding="6" style="border-collapse:collapse;">' +
+      rows.map(row => `<tr><td style="border:1px solid #ddd;background:#f1f3f4;">${escape(row[0])}</td><td style="border:1px solid #ddd;">${escape(row[1])}</td></tr>`).join('') +
+      '</table>' +
+      `<p>確認無誤後，請開啟試算表 <a href="${escape(info.spreadsheetUrl)}">${escape(info.spreadsheetName)}</a>，` +
+      '從選單「郵件自動化工具 &gt; 核准正式信」核准或退回。</p>' +
+      (info.draftId ? '<p>信件草稿也已建立在寄件帳號的 Gmail 草稿匣中。</p>' : '') +
+      '<div style="border:1px solid #ddd;padding:12px;margin-top:12px;">' +
+      markdownToHtml(preview.body, { markers: getStyleMarkers(settings) }) + (signature || '') +
+      '</div>');
+}
+
+/**
+ * 寄出核准請求並記錄在 approvalState (取代前一次的請求)；同月份的信件已暫停時維持暫停，核准後立即補寄。
+ * @return {Object} 新的核准狀態。
+ */
+function requestApproval(settings, year, month, sendDate, env) {
+  const approval = getApprovalSettings(settings);
+  const previous = env.readState(SEND_STATE_KEYS.approval);
+  const preview = renderOfficialPreview(settings, year, month, env);
+  const recipients = env.resolveRecipients(settings, year, month);
+  const sender = resolveSender(settings, env);
+  const signature = sender.signature;
+  let draftId = '';
+  if (approval.mode === 'draft') {
+    const bodies = composeEmailBodies(preview.body, settings, signature);
+    draftId = env.createDraft({
+      to: recipients.to.join(','), cc: recipients.cc.join(','), bcc: recipients.bcc.join(','),
+      subject: preview.subject, body: bodies.text, htmlBody: bodies.html, name: settings.senderName || sender.name, from: sender.from
+    });
+  }
+  const spreadsheet = env.getSpreadsheetInfo();
+  const info = {
+    year: year, month: month, sendDate: formatDate(sendDate), recipients: countRecipients(recipients),
+    fallback: approval.fallback, draftId: draftId, spreadsheetUrl: spreadsheet.url, spreadsheetName: spreadsheet.name
+  };
+  env.sendApprovalRequest({
+    to: approval.approvers.join(','),
+    subject: `【待核准】${preview.subject}`,
+    body: `${year}/${month} 的正式信預計於 ${info.sendDate} 寄出，請開啟試算表「${info.spreadsheetName}」，` +
+        `從選單「郵件自動化工具 > 核准正式信」核准或退回。\n${info.spreadsheetUrl}`,
+    htmlBody: buildApprovalRequestHtml(info, preview, settings, signature)
+  });
+  const state = {
+    year: year, month: month, status: 'pending', hash: preview.hash, subject: preview.subject,
+    sendDate: info.sendDate, recipients: info.recipients, requestedAt: env.now().toISOString(), draftId: draftId,
+    held: !!(previous && previous.year === year && previous.month === month && previous.held)
+  };
+  env.writeState(SEND_STATE_KEYS.approval, state);
+  console.log(`已送出 ${year}/${month} 正式信的核准請求給 ${approval.approvers.join(', ')}`);
+  return state;
+}
+
+// 退回後信件內容已修改時需重新送核 (內容未修改時維持退回)
+function isResubmissionDue(state, settings, year, month, env) {
+  return state.status === 'rejected' && renderOfficialPreview(settings, year, month, env).hash !== state.hash;
+}
+
+// 每日排程執行時呼叫：本月或下個月的寄信日進入送核期間、且尚未送核時送出核准請求
+// 已退回的信件修改後重新送核；已暫停的信件寄信日過後仍可重新送核
+function maybeRequestApproval(now, settings, holidayData, env) {
+  const approval = getApprovalSettings(settings);
+  if (!approval.enabled) return;
+  const state = env.readState(SEND_STATE_KEYS.approval);
+  [0, 1].forEach(offset => {
+    const target = new Date(now.getFullYear(), now.getMonth() + offset, 1);
+    const year = target.getFullYear();
+    const month = target.getMonth() + 1;
+    const current = state && state.year === year && state.month === month;
+    if (!getTemplateForMonth(settings, year, month)) return;
+    if (current && !isResubmissionDue(state, settings, year, month, env)) return;
+    const rules = getScheduleRules(settings, year, month);
+    const sendDate = getSendDate(year, month, holidayData.holidays, holidayData.workdays, rules.sendRule);
+    if (sendDate && ((current && state.held) ||
+        isApprovalRequestDue(now, sendDate, approval.leadDays, holidayData.holidays, holidayData.workdays))) {
+      requestApproval(settings, year, month, sendDate, env);
+    }
+  });
+}
+
+/**
+ * 寄信日寄出前的檢查。尚未送核時立即送核，未核准時依設定照常寄出 (通知管理員) 或暫停。
+ * 已退回的信件在修改內容後，或由選單手動執行時重新送核。
+ * @return {{hold: boolean, message: string}}
+ */
+function checkApprovalBeforeSend(settings, year, month, sendDate, isTriggered, env) {
+  const approval = getApprovalSettings(settings);
+  if (!approval.enabled) return { hold: false, message: '' };
+  let state = env.readState(SEND_STATE_KEYS.approval);
+  if (!state || state.year !== year || state.month !== month ||
+      (state.status === 'rejected' && (!isTriggered || isResubmissionDue(state, settings, year, month, env)))) {
+    state = requestApproval(settings, year, month, sendDate, env);
+  }
+  const result = evaluateApproval(state, year, month, renderOfficialPreview(settings, year, month, env).hash);
+  if (result.approved) return { hold: false, message: '' };
+  if (approval.fallback === 'send' && state.status !== 'rejected') {
+    const message = `正式信未經核准 (${result.reason})，依設定照常寄出。`;
+    env.sendAlert(`【郵件自動化工具】${year}/${month} 正式信未經核准即寄出`, message, `approval:${year}/${month}:sent`);
+    return { hold: false, message: message };
+  }
+  env.writeState(SEND_STATE_KEYS.approval, Object.assign(state, { held: true }));
+  return {
+    hold: true,
+    message: `正式信未核准 (${result.reason})，已暫停寄送。核准人從選單「核准正式信」核准後會立即寄出。`
+  };
+}
+
+// =================================================================
+// SECTION: 核准操作
+// =================================================================
+
+// 依序列出各通知活動待核准的正式信；每個活動的核准人分開設定
+function menuReviewApproval() {
+  const ui = SpreadsheetApp.getUi();
+  const campaigns = getCampaigns(scriptProperties.getProperties());
+  const reviews = campaigns.map(campaign => {
+    const env = createSendEnvironment({ campaignId: campaign.id });
+    return { campaign: campaign, env: env, state: env.readState(SEND_STATE_KEYS.approval) };
+  }).filter(review => review.state && !(review.state.status === 'approved' && !review.state.held));
+  if (!reviews.length) {
+    ui.alert('目前沒有待核准的正式信。');
+    return;
+  }
+  const user = Session.getActiveUser().getEmail();
+  const statusLabels = { pending: '待核准', rejected: '已退回', approved: '已核准' };
+  reviews.forEach(review => {
+    const state = review.state;
+    const title = campaigns.length > 1 ? `核准正式信 - ${review.campaign.name}` : '核准正式信';
+    const denial = getApproverDenial(getApprovalSettings(review.env.getSettings()).approvers, user);
+    if (denial) {
+      ui.alert(title, denial, ui.ButtonSet.OK);
+      return;
+    }
+    const response = ui.alert(title,
+        `${state.year}/${state.month} 正式信 (${statusLabels[state.status]}${state.held ? '，已暫停寄送' : ''})\n\n` +
+        `主旨：${state.subject}\n寄信日：${state.sendDate}\n收件者：${state.recipients} 位\n\n` +
+        '核准請按「是」，退回請按「否」。核准前請確認核准請求信中的預覽內容。',
+        ui.ButtonSet.YES_NO_CANCEL);
+    if (response === ui.Button.CANCEL || response === ui.Button.CLOSE) return;
+    ui.alert(title, decideMonthlyApproval_(response === ui.Button.YES, review.campaign.id), ui.ButtonSet.OK);
+  });
+}
+
+// 核准或退回 campaignId 目前的請求；核准時若信件已暫停則立即補寄
+// 結尾底線讓 google.script.run 無法呼叫，核准人一律由執行帳號判斷，不接受呼叫端傳入
+function decideMonthlyApproval_(approved, campaignId) {
+  try {
+    const env = createSendEnvironment({ campaignId: campaignId });
+    const state = env.readState(SEND_STATE_KEYS.approval);
+    if (!state) return '目前沒有待核准的正式信。';
+    const settings = env.getSettings();
+    const user = Session.getActiveUser().getEmail();
+    const denial = getApproverDenial(getApprovalSettings(settings).approvers, user);
+    if (denial) return denial;
+    if (approved && renderOfficialPreview(settings, state.year, state.month, env).hash !== state.hash) {
+      const rules = getScheduleRules(settings, state.year, state.month);
+      const holidayData = env.getHolidayData();
+      const sendDate = getSendDate(state.year, state.month, holidayData.holidays, holidayData.workdays, rules.sendRule);
+      requestApproval(settings, state.year, state.month, sendDate, env);
+      return '送核後信件內容已變更，已重新寄出核准請求，請確認新的內容後再核准。';
+    }
+    const decided = decideApproval(state, approved, user, env.now());
+    env.writeState(SEND_STATE_KEYS.approval, decided);
+    _deleteApprovalDraft(decided.draftId);
+    env.recordSendHistory({
+      year: state.year, month: state.month, kind: APPROVAL_HISTORY_KIND, isTriggered: false, subject: state.subject,
+      success: true, message: `${approved ? '核准' : '退回'}正式信 (${user || '未知使用者'})`
+    });
+    if (!approved) return '已退回，本月正式信不會寄出。修改後可從選單「執行正式寄信」或等待排程重新送核。';
+    if (state.held) return `已核准。${sendHeldMonthlyEmail(decided, env)}`;
+    return `已核准，正式信將於 ${state.sendDate} 寄出。`;
+  } catch (e) {
+    logError(e, 'decideMonthlyApproval_');
+    return '核准失敗，請檢查日誌。';
+  }
+}
+
+// 寄出因未核准而暫停的正式信 (寄信日已過也照常寄出)；與排程相同經由 sendMonthlyEmail，
+// 共用寄信鎖定、待寄清單與「同月份只寄一次」的檢查
+function sendHeldMonthlyEmail(state, env) {
+  const result = sendMonthlyEmail(null, { month: { year: state.year, month: state.month } }, env);
+  if (result.status === 'sent' || result.status === 'partial' || result.status === 'alreadySent') {
+    const current = env.readState(SEND_STATE_KEYS.approval);
+    if (current) env.writeState(SEND_STATE_KEYS.approval, Object.assign(current, { held: false }));
+  }
+  const messages = {
+    sent: '正式信已寄出。',
+    partial: '正式信已寄出部分收件者，其餘將於下次排程執行時補寄。',
+    alreadySent: '本月正式信已寄送過。',
+    pending: '本月正式信尚有收件者等待補寄，將於下次排程執行時寄出。',
+    locked: '另一個寄信程序正在執行中，請稍後再從選單「執行正式寄信」寄出。'
+  };
+  return messages[result.status] || `正式信未寄出：${result.message}`;
+}
+
+function _deleteApprovalDraft(draftId) {
+  if (!draftId) return;
+  try {
+    GmailApp.getDraft(draftId).deleteDraft();
+  } catch (e) {
+    logError(e, '_deleteApprovalDraft');
+  }
+}
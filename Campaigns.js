@@ -0,0 +1,224 @@
+/**
+ * @fileoverview 通知活動：同一份試算表可設定多個獨立的定期通知 (例如每月請款、營業稅申報提醒、年底盤點通知)，
+ * 各自有收件者、寄件人名稱與寄件別名、範本 (含寄信日 / 截止日規則)、追蹤提醒與核准設定。
+ * 預設活動沿用原本不加前綴的設定，其他活動的設定存於 `c.<活動 id>.<設定名稱>`；
+ * 管理員 Email、自訂變數、格式標記與假日資料由所有活動共用。
+ * 每日排程 sendDueCampaigns 依序處理每個啟用中的活動，寄信紀錄的類型與執行狀態也以活動區分。
+ */
+
+// =================================================================
+// SECTION: 活動清單
+// =================================================================
+
+const DEFAULT_CAMPAIGN_ID = 'default';
+const DEFAULT_CAMPAIGN_NAME = '每月請款通知';
+const CAMPAIGN_LIST_KEY = 'campaigns';
+const CAMPAIGN_KEY_PREFIX = 'c.';
+const CAMPAIGN_ID_PATTERN = /^[A-Za-z0-9_-]{1,20}$/;
+// 各活動獨立的設定；其餘設定 (管理員 Email、自訂變數、格式標記、假日資料、排程時段) 由所有活動共用
+const CAMPAIGN_SCOPED_KEYS = [
+  'recipient', 'senderName', 'senderAlias', 'templateIds', 'followUps',
+  'approvalMode', 'approverEmail', 'approvalLeadDays', 'approvalFallback'
+];
+
+/**
+ * 活動清單；尚未建立時只有預設活動。預設活動一律排在第一個且無法刪除。
+ * @return {Array<{id: string, name: string, enabled: boolean}>}
+ */
+function getCampaigns(properties) {
+  const list = _parseJsonList(properties[CAMPAIGN_LIST_KEY], 'getCampaigns')
+      .filter(item => item && CAMPAIGN_ID_PATTERN.test(item.id))
+      .map(item => ({ id: String(item.id), name: String(item.name || item.id), enabled: item.enabled !== false }));
+  if (!list.some(item => item.id === DEFAULT_CAMPAIGN_ID)) {
+    list.unshift({ id: DEFAULT_CAMPAIGN_ID, name: DEFAULT_CAMPAIGN_NAME, enabled: true });
+  }
+  return list.filter(item => item.id === DEFAULT_CAMPAIGN_ID).concat(list.filter(item => item.id !== DEFAULT_CAMPAIGN_ID));
+}
+
+function findCampaign(properties, campaignId) {
+  return getCampaigns(properties).filter(item => item.id === (campaignId || DEFAULT_CAMPAIGN_ID))[0] || null;
+}
+
+// =================================================================
+// SECTION: 設定命名空間 (純函式，方便測試)
+// =================================================================
+
+function campaignKeyPrefix(campaignId) {
+  return !campaignId || campaignId === DEFAULT_CAMPAIGN_ID ? '' : `${CAMPAIGN_KEY_PREFIX}${campaignId}.`;
+}
+
+// 各活動獨立的設定、範本與執行狀態 (警示為全部活動共用)；舊版範本設定只屬於預設活動
+function isCampaignScopedKey(key) {
+  return CAMPAIGN_SCOPED_KEYS.indexOf(key) !== -1 ||
+      key.indexOf(TEMPLATE_KEY_PREFIX) === 0 || LEGACY_TEMPLATE_KEYS.indexOf(key) !== -1 ||
+      (isSendStateKey(key) && key !== SEND_STATE_KEYS.alerts);
+}
+
+function campaignPropertyKey(campaignId, key) {
+  return isCampaignScopedKey(key) ? campaignKeyPrefix(campaignId) + key : key;
+}
+
+// 去掉活動前綴，回傳設定名稱 (c.tax.recipient → recipient)
+function stripCampaignPrefix(key) {
+  const match = key.match(/^c\.[A-Za-z0-9_-]+\.(.+)$/);
+  return match ? match[1] : key;
+}
+
+/**
+ * 取得單一活動看到的設定：共用設定加上該活動的設定 (已去掉前綴)，可直接傳給 getTemplates、resolveRecipients 等函式。
+ */
+function getCampaignSettings(properties, campaignId) {
+  const prefix = campaignKeyPrefix(campaignId);
+  const view = {};
+  Object.keys(properties).forEach(key => {
+    if (key.indexOf(CAMPAIGN_KEY_PREFIX) === 0 && stripCampaignPrefix(key) !== key) {
+      if (prefix && key.indexOf(prefix) === 0) view[key.substring(prefix.length)] = properties[key];
+    } else if (!prefix || !isCampaignScopedKey(key)) {
+      view[key] = properties[key];
+    }
+  });
+  return view;
+}
+
+// getCampaignSettings 的反向：將設定介面送出的設定轉為實際的指令碼屬性名稱
+function toCampaignProperties(settings, campaignId) {
+  const properties = {};
+  Object.keys(settings).forEach(key => {
+    properties[campaignPropertyKey(campaignId, key)] = settings[key];
+  });
+  return properties;
+}
+
+// 寄信紀錄的類型與警示的 key：預設活動維持原本的值 (official)，其他活動加上活動 id (tax/official)
+function qualifyCampaignKind(campaignId, kind) {
+  return !campaignId || campaignId === DEFAULT_CAMPAIGN_ID ? kind : `${campaignId}/${kind}`;
+}
+
+function parseCampaignKind(kind) {
+  const match = String(kind).match(/^([A-Za-z0-9_-]+)\/(.+)$/);
+  return match ? { campaignId: match[1], kind: match[2] } : { campaignId: DEFAULT_CAMPAIGN_ID, kind: String(kind) };
+}
+
+// 警示信的主旨加上活動名稱，讓管理員知道是哪個通知出問題 (預設活動維持原本的主旨)
+function describeCampaignAlert(campaignId, subject) {
+  if (!campaignId || campaignId === DEFAULT_CAMPAIGN_ID) return subject;
+  const campaign = findCampaign(scriptProperties.getProperties(), campaignId);
+  const name = campaign ? campaign.name : campaignId;
+  const tag = '【郵件自動化工具】';
+  return subject.indexOf(tag) === 0 ? `【郵件自動化工具：${name}】${subject.substring(tag.length)}` : `【${name}】${subject}`;
+}
+
+// =================================================================
+// SECTION: 排程
+// =================================================================
+
+/**
+ * 每日排程的處理函式：依序對每個啟用中的活動執行正式信流程 (寄信日判斷、送核、補寄、重試皆各自獨立)。
+ * @return {Array<Object>} 各活動 sendMonthlyEmail 的結果，加上 campaignId。
+ */
+function sendDueCampaigns(e) {
+  const campaigns = getCampaigns(scriptProperties.getProperties()).filter(campaign => campaign.enabled);
+  return campaigns.map(campaign => {
+    const result = sendMonthlyEmail(e, {}, createSendEnvironment({ campaignId: campaign.id }));
+    console.log(`活動「${campaign.name}」：${result.message}`);
+    return Object.assign({ campaignId: campaign.id }, result);
+  });
+}
+
+// =================================================================
+// SECTION: 活動管理 (設定介面)
+// =================================================================
+
+function saveCampaignList(campaigns) {
+  scriptProperties.setProperty(CAMPAIGN_LIST_KEY, JSON.stringify(campaigns));
+}
+
+// 新活動從空白的範本庫與追蹤提醒開始，其他設定沿用共用設定
+function createCampaign(id, name) {
+  try {
+    id = String(id || '').trim();
+    name = String(name || '').trim();
+    if (!CAMPAIGN_ID_PATTERN.test(id)) return { success: false, message: '活動代碼只能使用英文字母、數字、底線與連字號 (最多 20 字)。' };
+    if (!name) return { success: false, message: '請輸入活動名稱。' };
+    const campaigns = getCampaigns(scriptProperties.getProperties());
+    if (campaigns.some(campaign => campaign.id === id)) return { success: false, message: `活動代碼「${id}」已存在。` };
+    ensureInitialSettingsRevision();
+    campaigns.push({ id: id, name: name, enabled: true });
+    saveCampaignList(campaigns);
+    scriptProperties.setProperty(campaignPropertyKey(id, 'templateIds'), '[]');
+    scriptProperties.setProperty(campaignPropertyKey(id, 'followUps'), '[]');
+    recordSettingsRevision(`新增活動「${name}」`);
+    return { success: true, message: `已新增活動「${name}」，請設定收件者與範本後儲存。`, campaigns: campaigns };
+  } catch (e) {
+    logError(e, 'createCampaign');
+    return { success: false, message: '新增活動失敗，請檢查日誌。' };
+  }
+}
+
+function updateCampaign(id, changes) {
+  try {
+    const campaigns = getCampaigns(scriptProperties.getProperties());
+    const campaign = campaigns.filter(item => item.id === id)[0];
+    if (!campaign) return { success: false, message: '找不到指定的活動。' };
+    if (changes.name !== undefined) {
+      if (!String(changes.name).trim()) return { success: false, message: '請輸入活動名稱。' };
+      campaign.name = String(changes.name).trim();
+    }
+    if (changes.enabled !== undefined) campaign.enabled = !!changes.enabled;
+    saveCampaignList(campaigns);
+    recordSettingsRevision(`修改活動「${campaign.name}」`);
+    return { success: true, message: '活動已更新。', campaigns: campaigns };
+  } catch (e) {
+    logError(e, 'updateCampaign');
+    return { success: false, message: '更新活動失敗，請檢查日誌。' };
+  }
+}
+
+// 刪除活動與其所有設定、範本及執行狀態；寄信紀錄保留
+function deleteCampaign(id) {
+  try {
+    if (id === DEFAULT_CAMPAIGN_ID) return { success: false, message: '預設活動無法刪除，可改為停用。' };
+    const campaigns = getCampaigns(scriptProperties.getProperties());
+    const campaign = campaigns.filter(item => item.id === id)[0];
+    if (!campaign) return { success: false, message: '找不到指定的活動。' };
+    ensureInitialSettingsRevision();
+    const prefix = campaignKeyPrefix(id);
+    scriptProperties.getKeys().forEach(key => {
+      if (key.indexOf(prefix) === 0) scriptProperties.deleteProperty(key);
+    });
+    const remaining = campaigns.filter(item => item.id !== id);
+    saveCampaignList(remaining);
+    recordSettingsRevision(`刪除活動「${campaign.name}」`);
+    return { success: true, message: `已刪除活動「${campaign.name}」。`, campaigns: remaining };
+  } catch (e) {
+    logError(e, 'deleteCampaign');
+    return { success: false, message: '刪除活動失敗，請檢查日誌。' };
+  }
+}
+
+// =================================================================
+// SECTION: 選單
+// =================================================================
+
+/**
+ * 選單動作要處理的活動：只有一個啟用中的活動時直接使用，否則請使用者輸入編號。
+ * @return {?{id: string, name: string}} 取消或輸入錯誤時回傳 null。
+ */
+function promptCampaign(ui, title) {
+  const campaigns = getCampaigns(scriptProperties.getProperties()).filter(campaign => campaign.enabled);
+  if (campaigns.length <= 1) return campaigns[0] || findCampaign(scriptProperties.getProperties(), DEFAULT_CAMPAIGN_ID);
+  const list = campaigns.map((campaign, i) => `${i + 1}. ${campaign.name}`).join('\n');
+  const response = ui.prompt(title, `請輸入通知活動的編號：\n${list}`, ui.ButtonSet.OK_CANCEL);
+  if (response.getSelectedButton() !== ui.Button.OK) return null;
+  const campaign = campaigns[parseInt(response.getResponseText(), 10) - 1];
+  if (!campaign) ui.alert('編號錯誤，請重新操作。');
+  return campaign || null;
+}
+
+function menuSendMonthlyEmail() {
+  const ui = SpreadsheetApp.getUi();
+  const campaign = promptCampaign(ui, '執行正式寄信');
+  if (!campaign) return;
+  const result = sendMonthlyEmail(null, {}, createSendEnvironment({ campaignId: campaign.id }));
+  ui.alert(`${campaign.name}：${result.message}`);
+}
@@ -0,0 +1,201 @@
+/**
+ * @fileoverview 雲端硬碟附件：每個範本可指定雲端硬碟檔案或資料夾，寄信時以 {{attachmentLinks}} 插入連結清單，
+ * 或直接附加檔案 (Google 文件 / 試算表 / 簡報轉為 PDF)。寄信時檢查檔案是否仍存在、是否已共用，異常時發出警示。
+ */
+
+// =================================================================
+// SECTION: 設定
+// =================================================================
+
+const DRIVE_MODES = ['link', 'attach'];
+const MAX_FOLDER_ATTACHMENTS = 10;
+// MailApp 單封信件上限為 25MB，保留空間給內文
+const MAX_ATTACHMENT_BYTES = 20 * 1024 * 1024;
+const GOOGLE_EXPORT_MIME_TYPES = [
+  'application/vnd.google-apps.document',
+  'application/vnd.google-apps.spreadsheet',
+  'application/vnd.google-apps.presentation'
+];
+
+function normalizeDriveItems(list) {
+  const items = Array.isArray(list) ? list : String(list || '').split(/\s+/);
+  return items.map(item => extractDriveId(item)).filter((id, i, all) => id && all.indexOf(id) === i);
+}
+
+function normalizeDriveMode(mode) {
+  return DRIVE_MODES.indexOf(mode) !== -1 ? mode : 'link';
+}
+
+// =================================================================
+// SECTION: 附件規劃 (純函式，方便測試)
+// =================================================================
+
+/**
+ * 依檢查結果決定要插入的連結、要附加的檔案與警示訊息。
+ * @param {Array<Object>} infos inspectDriveItem 的結果。
+ * @param {string} mode 'link' 插入連結；'attach' 附加檔案 (資料夾會附加其中的檔案)。
+ * @return {{links: Array<{name: string, url: string}>, files: Array<Object>, warnings: Array<string>}}
+ */
+function planDriveAttachments(infos, mode) {
+  const plan = { links: [], files: [], warnings: [] };
+  let totalBytes = 0;
+  infos.forEach(info => {
+    if (!info.exists) {
+      plan.warnings.push(`找不到雲端硬碟項目 ${info.id}，可能已刪除或沒有存取權限`);
+      return;
+    }
+    if (info.trashed) {
+      plan.warnings.push(`「${info.name}」已移至垃圾桶`);
+      return;
+    }
+    if (mode !== 'attach') {
+      if (!info.shared) plan.warnings.push(`「${info.name}」尚未共用，收件者可能無法開啟連結`);
+      plan.links.push({ name: info.name, url: info.url });
+      return;
+    }
+    const files = info.isFolder ? (info.children || []) : [info];
+    if (info.isFolder && files.length > MAX_FOLDER_ATTACHMENTS) {
+      plan.warnings.push(`資料夾「${info.name}」有 ${files.length} 個檔案，只附加前 ${MAX_FOLDER_ATTACHMENTS} 個`);
+    }
+    files.slice(0, MAX_FOLDER_ATTACHMENTS).forEach(file => {
+      const isExport = GOOGLE_EXPORT_MIME_TYPES.indexOf(file.mimeType) !== -1;
+      if (!isExport && totalBytes + (file.size || 0) > MAX_ATTACHMENT_BYTES) {
+        plan.warnings.push(`「${file.name}」超過附件大小上限，未附加`);
+        return;
+      }
+      totalBytes += isExport ? 0 : (file.size || 0);
+      plan.files.push({ id: file.id, name: file.name, export: isExport });
+      plan.links.push({ name: file.name, url: file.url });
+    });
+  });
+  return plan;
+}
+
+/**
+ * 載入附件後依實際大小再檢查一次總量：Google 文件轉為 PDF 後才知道大小，規劃時以 0 計算。
+ * 超過上限的檔案不附加，收件者改由 {{attachmentLinks}} 中的連結開啟。
+ * @param {Array<{name: string, bytes: number, export: boolean}>} loaded 依附加順序排列。
+ * @return {{kept: Array<Object>, warnings: Array<string>}} kept 為 loaded 中保留附加的項目。
+ */
+function limitAttachmentBytes(loaded, maxBytes) {
+  const result = { kept: [], warnings: [] };
+  let totalBytes = 0;
+  loaded.forEach(item => {
+    if (totalBytes + item.bytes > maxBytes) {
+      result.warnings.push(`「${item.name}」${item.export ? '轉為 PDF 後' : ''}超過附件大小上限，未附加 (仍列在附件連結中)`);
+      return;
+    }
+    totalBytes += item.bytes;
+    result.kept.push(item);
+  });
+  return result;
+}
+
+// 產生 {{attachmentLinks}} 的內容：每個連結一行，套用後成為項目符號清單
+function buildAttachmentLinksMarkdown(links) {
+  return links.map(link => `- [${String(link.name).replace(/[\[\]]/g, '')}](${link.url})`).join('\n');
+}
+
+// =================================================================
+// SECTION: 雲端硬碟存取
+// =================================================================
+
+function _isDriveItemShared(item) {
+  try {
+    return item.getSharingAccess() !== DriveApp.Access.PRIVATE;
+  } catch (e) {
+    return false;
+  }
+}
+
+function _describeDriveFile(file) {
+  return {
+    id: file.getId(),
+    name: file.getName(),
+    url: file.getUrl(),
+    mimeType: file.getMimeType(),
+    size: file.getSize(),
+    shared: _isDriveItemShared(file)
+  };
+}
+
+// 檢查單一檔案或資料夾；資料夾會列出其中的檔案 (不含子資料夾)
+function inspectDriveItem(id) {
+  try {
+    const file = DriveApp.getFileById(id);
+    return Object.assign(_describeDriveFile(file), { exists: true, trashed: file.isTrashed(), isFolder: false });
+  } catch (e) {
+    // 不是檔案時再嘗試資料夾
+  }
+  try {
+    const folder = DriveApp.getFolderById(id);
+    const children = [];
+    const iterator = folder.getFiles();
+    while (iterator.hasNext()) {
+      const file = iterator.next();
+      if (!file.isTrashed()) children.push(_describeDriveFile(file));
+    }
+    children.sort((a, b) => a.name.localeCompare(b.name));
+    return {
+      id: id,
+      name: folder.getName(),
+      url: folder.getUrl(),
+      exists: true,
+      trashed: folder.isTrashed(),
+      isFolder: true,
+      shared: _isDriveItemShared(folder),
+      children: children
+    };
+  } catch (e) {
+    return { id: id, exists: false };
+  }
+}
+
+/**
+ * 依範本設定檢查雲端硬碟項目並載入附件。
+ * @return {{links: Array<Object>, attachments: Array<Blob>, warnings: Array<string>}}
+ */
+function prepareDriveAttachments(template, loadBlobs) {
+  const items = template ? normalizeDriveItems(template.driveItems) : [];
+  if (!items.length) return { links: [], attachments: [], warnings: [] };
+  const plan = planDriveAttachments(items.map(inspectDriveItem), normalizeDriveMode(template.driveMode));
+  const loaded = [];
+  if (loadBlobs) {
+    plan.files.forEach(file => {
+      try {
+        const driveFile = DriveApp.getFileById(file.id);
+        const blob = file.export ? driveFile.getAs('application/pdf').setName(file.name + '.pdf') : driveFile.getBlob();
+        loaded.push({ name: file.name, export: file.export, bytes: blob.getBytes().length, blob: blob });
+      } catch (e) {
+        logError(e, 'prepareDriveAttachments');
+        plan.warnings.push(`「${file.name}」無法讀取，未附加`);
+      }
+    });
+  }
+  const limited = limitAttachmentBytes(loaded, MAX_ATTACHMENT_BYTES);
+  return {
+    links: plan.links,
+    attachments: limited.kept.map(item => item.blob),
+    warnings: plan.warnings.concat(limited.warnings)
+  };
+}
+
+// 設定介面「檢查檔案」：回傳每個項目的名稱與狀態
+function describeDriveItems(values, mode) {
+  try {
+    return normalizeDriveItems(values).map(id => {
+      const info = inspectDriveItem(id);
+      const warnings = planDriveAttachments([info], normalizeDriveMode(mode)).warnings;
+      return {
+        id: id,
+        name: info.exists ? info.name : '',
+        url: info.exists ? info.url : '',
+        type: info.isFolder ? `資料夾 (${info.children.length} 個檔案)` : '檔案',
+        warnings: warnings
+      };
+    });
+  } catch (e) {
+    logError(e, 'describeDriveItems');
+    return null;
+  }
+}
@@ -0,0 +1,159 @@
+/**
+ * @fileoverview 追蹤提醒信：依截止日往前推算工作日，自動寄送「剩三個工作日」、「今天最後一天」等提醒。
+ * 每封提醒有自己的主旨與內文範本，並沿用 _coreSendEmail / markdownToHtml 的寄信流程，收件者與當月正式信相同。
+ */
+
+// =================================================================
+// SECTION: 提醒設定
+// =================================================================
+
+// daysBefore: 截止日前第幾個工作日寄出 (0 = 截止日當天)
+const DEFAULT_FOLLOW_UPS = [
+  {
+    id: 'threeDaysLeft',
+    name: '剩三個工作日提醒',
+    enabled: false,
+    daysBefore: 3,
+    subject: '【提醒】{{rocYear}}年{{currentMonth}}月款項申請將於{{deadlineDate}}截止',
+    body: '**Dear All,**\n\n提醒您，{{rocYear}}年{{currentMonth}}月份尚未請款的個人費用及廠商款項申請將於**{{deadlineDate}}**截止，' +
+        '距截止日尚有 {{daysLeft}} 個工作日，請尚未請款的同仁儘早送至會計處。'
+  },
+  {
+    id: 'lastDay',
+    name: '截止日當天提醒',
+    enabled: false,
+    daysBefore: 0,
+    subject: '【最後一天】{{rocYear}}年{{currentMonth}}月款項申請今日截止',
+    body: '**Dear All,**\n\n**紅字**今天 ({{deadlineDate}}) 是{{rocYear}}年{{currentMonth}}月份款項申請的最後一天**紅字**，' +
+        '尚未請款的同仁請於今日下班前送至會計處，感謝配合!!'
+  }
+];
+
+function normalizeFollowUp(followUp, index) {
+  const daysBefore = parseInt(followUp.daysBefore, 10);
+  return {
+    id: String(followUp.id || `followUp${index + 1}`),
+    name: String(followUp.name || `提醒 ${index + 1}`),
+    enabled: followUp.enabled === true || followUp.enabled === 'true',
+    daysBefore: daysBefore >= 0 ? daysBefore : 0,
+    subject: String(followUp.subject || ''),
+    body: String(followUp.body || '')
+  };
+}
+
+// 追蹤提醒信的變數；寄給全體時 recipientName / recipientDepartment 為空白，
+// 範本可寫成 {{recipientName|default:各位同仁}}，只寄給未繳交同仁時 (見 Submissions.js) 才帶入個人資料
+function buildFollowUpVariables(daysLeft, person) {
+  return {
+    daysLeft: daysLeft,
+    recipientName: person ? person.name : '',
+    recipientDepartment: person ? person.department : ''
+  };
+}
+
+function getFollowUps(settings) {
+  if (!settings.followUps) return [];
+  try {
+    const list = JSON.parse(settings.followUps);
+    return Array.isArray(list) ? list.map(normalizeFollowUp) : [];
+  } catch (e) {
+    logError(e, 'getFollowUps');
+    return [];
+  }
+}
+
+// =================================================================
+// SECTION: 提醒日計算
+// =================================================================
+
+function subtractWorkingDays(date, count, holidays, workdays) {
+  const result = new Date(date.getFullYear(), date.getMonth(), date.getDate());
+  let remaining = count;
+  while (remaining > 0) {
+    result.setDate(result.getDate() - 1);
+    if (isWorkingDay(result, holidays, workdays)) remaining--;
+  }
+  return result;
+}
+
+/**
+ * 找出今天需要寄送的追蹤提醒。截止日可能落在次月，因此同時檢查本月與上月的截止日。
+ * @return {Array<{year: number, month: number, followUp: Object, deadline: Date}>}
+ */
+function findDueFollowUps(today, followUps, settings, holidays, workdays) {
+  const todayTime = new Date(today.getFullYear(), today.getMonth(), today.getDate()).getTime();
+  const due = [];
+  [-1, 0].forEach(offset => {
+    const target = new Date(today.getFullYear(), today.getMonth() + offset, 1);
+    const year = target.getFullYear();
+    const month = target.getMonth() + 1;
+    const rules = getScheduleRules(settings, year, month);
+    const deadline = getDeadlineDate(year, month, holidays, workdays, rules.deadlineRule);
+    if (!deadline) return;
+    followUps.forEach(followUp => {
+      if (!followUp.enabled) return;
+      const sendDate = subtractWorkingDays(deadline, followUp.daysBefore, holidays, workdays);
+      if (sendDate.getTime() === todayTime) {
+        due.push({ year, month, followUp, deadline });
+      }
+    });
+  });
+  return due;
+}
+
+// =================================================================
+// SECTION: 寄送
+// =================================================================
+
+// 每日排程：依序檢查每個啟用中的通知活動今天是否有追蹤提醒信要寄
+function sendFollowUpEmails(e) {
+  const isTriggered = !!(e && e.triggerUid);
+  const lock = LockService.getScriptLock();
+  if (!lock.tryLock(30000)) {
+    logError('另一個寄信程序正在執行中，本次略過。', 'sendFollowUpEmails');
+    return;
+  }
+  try {
+    getCampaigns(scriptProperties.getProperties()).filter(campaign => campaign.enabled).forEach(campaign => {
+      try {
+        _sendCampaignFollowUps(createSendEnvironment({ campaignId: campaign.id }), isTriggered);
+      } catch (e) {
+        logError(e, `sendFollowUpEmails (${campaign.name})`);
+      }
+    });
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+function _sendCampaignFollowUps(env, isTriggered) {
+  const now = env.now();
+  const settings = env.getSettings();
+  const holidayData = env.getHolidayData();
+  const due = findDueFollowUps(now, getFollowUps(settings), settings, holidayData.holidays, holidayData.workdays);
+  if (!due.length) {
+    console.log(`今天 (${formatDate(now)}) 沒有需要寄送的追蹤提醒信 (${env.campaignId})。`);
+    return;
+  }
+  due.forEach(item => {
+    const kind = 'followUp:' + item.followUp.id;
+    if (env.hasSuccessfulSend(item.year, item.month, kind) || hasPendingSend(env, item.year, item.month, kind)) {
+      console.log(`${item.year}/${item.month} 的「${item.followUp.name}」已寄送過或等待補寄，略過。`);
+      return;
+    }
+    const recipients = env.resolveRecipients(settings, item.year, item.month);
+    if (!countRecipients(recipients)) {
+      logError('尚未設定收件者，追蹤提醒信未寄出。', 'sendFollowUpEmails');
+      return;
+    }
+    console.log(`寄送 ${item.year}/${item.month} 的「${item.followUp.name}」(截止日 ${formatDate(item.deadline)})`);
+    const status = _coreSendEmail(recipients, isTriggered, item.year, item.month, kind, {
+      template: item.followUp,
+      variables: buildFollowUpVariables(item.followUp.daysBefore)
+    }, env);
+    if (status === 'failed') {
+      env.sendAlert(`【郵件自動化工具】${item.year}/${item.month} 追蹤提醒信寄送失敗`,
+          `「${item.followUp.name}」未能寄出，詳情請見寄信紀錄。`, `${kind}:${item.year}/${item.month}`);
+    }
+  });
+}
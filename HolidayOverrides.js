@@ -0,0 +1,143 @@
+/**
+ * @fileoverview 公司自訂假日：以「假日調整」工作表維護公開行事曆沒有的休假 (公司活動、颱風假、年終盤點)、
+ * 額外補班日，以及要忽略的公開假日，並在 getCachedHolidayData 中合併到快取資料上。
+ */
+
+// =================================================================
+// SECTION: 調整工作表
+// =================================================================
+
+const HOLIDAY_OVERRIDE_SHEET_NAME = '假日調整';
+const HOLIDAY_OVERRIDE_HEADERS = ['日期', '類型', '說明'];
+// 工作表中的類型文字與內部代碼對照
+const HOLIDAY_OVERRIDE_TYPES = { '休假': 'holiday', '補班': 'workday', '忽略公開假日': 'ignore' };
+
+function createHolidayOverrideSheet() {
+  try {
+    const spreadsheet = SpreadsheetApp.getActiveSpreadsheet();
+    let sheet = spreadsheet.getSheetByName(HOLIDAY_OVERRIDE_SHEET_NAME);
+    if (!sheet) {
+      sheet = spreadsheet.insertSheet(HOLIDAY_OVERRIDE_SHEET_NAME);
+      sheet.appendRow(HOLIDAY_OVERRIDE_HEADERS);
+      sheet.setFrozenRows(1);
+      sheet.getRange(1, 1, 1, HOLIDAY_OVERRIDE_HEADERS.length).setFontWeight('bold');
+      const maxRows = sheet.getMaxRows() - 1;
+      sheet.getRange(2, 1, maxRows, 1)
+          .setNumberFormat('yyyy/mm/dd')
+          .setDataValidation(SpreadsheetApp.newDataValidation().requireDate().build());
+      sheet.getRange(2, 2, maxRows, 1).setDataValidation(
+          SpreadsheetApp.newDataValidation().requireValueInList(Object.keys(HOLIDAY_OVERRIDE_TYPES), true).build());
+    }
+    spreadsheet.setActiveSheet(sheet);
+    return `已開啟「${HOLIDAY_OVERRIDE_SHEET_NAME}」工作表。`;
+  } catch (e) {
+    logError(e, 'createHolidayOverrideSheet');
+    return '無法建立假日調整表，請檢查日誌。';
+  }
+}
+
+function parseOverrideDate(value) {
+  if (value instanceof Date && !isNaN(value.getTime())) {
+    return new Date(value.getFullYear(), value.getMonth(), value.getDate());
+  }
+  const match = String(value || '').trim().match(/^(\d{4})[\/-](\d{1,2})[\/-](\d{1,2})$/);
+  return match ? new Date(parseInt(match[1], 10), parseInt(match[2], 10) - 1, parseInt(match[3], 10)) : null;
+}
+
+function readHolidayOverrides() {
+  const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(HOLIDAY_OVERRIDE_SHEET_NAME);
+  if (!sheet || sheet.getLastRow() < 2) return [];
+  const overrides = [];
+  sheet.getRange(2, 1, sheet.getLastRow() - 1, HOLIDAY_OVERRIDE_HEADERS.length).getValues().forEach((row, i) => {
+    if (!row[0] && !row[1]) return;
+    const date = parseOverrideDate(row[0]);
+    const type = HOLIDAY_OVERRIDE_TYPES[String(row[1]).trim()];
+    if (!date || !type) {
+      logError(`假日調整第 ${i + 2} 列的日期或類型無法辨識，已略過。`, 'readHolidayOverrides');
+      return;
+    }
+    overrides.push({ time: date.getTime(), type: type, note: String(row[2] || '').trim() });
+  });
+  return overrides;
+}
+
+// 讀取失敗時只記錄 log，不影響寄信流程
+function loadHolidayOverrides() {
+  try {
+    return readHolidayOverrides();
+  } catch (e) {
+    logError(e, 'loadHolidayOverrides');
+    return [];
+  }
+}
+
+// =================================================================
+// SECTION: 合併 (純函式，方便測試)
+// =================================================================
+
+function mergeHolidayOverrides(base, overrides) {
+  const holidays = {};
+  const workdays = {};
+  (base.holidays || []).forEach(time => { holidays[time] = true; });
+  (base.workdays || []).forEach(time => { workdays[time] = true; });
+  overrides.forEach(override => {
+    if (override.type === 'holiday') {
+      holidays[override.time] = true;
+      delete workdays[override.time];
+    } else if (override.type === 'workday') {
+      workdays[override.time] = true;
+      delete holidays[override.time];
+    } else if (override.type === 'ignore') {
+      delete holidays[override.time];
+      delete workdays[override.time];
+    }
+  });
+  const toSortedTimes = map => Object.keys(map).map(Number).sort((a, b) => a - b);
+  return Object.assign({}, base, { holidays: toSortedTimes(holidays), workdays: toSortedTimes(workdays) });
+}
+
+/**
+ * 列出某年度所有假日與補班日及其來源，供設定介面顯示。
+ * @return {Array<{time: number, type: string, source: string, note: string, ignored: boolean}>}
+ */
+function buildHolidayCalendarView(base, overrides, year) {
+  const entries = {};
+  const inYear = time => new Date(time).getFullYear() === year;
+  (base.holidays || []).filter(inYear).forEach(time => {
+    entries[time] = { time: time, type: 'holiday', source: 'public', note: '', ignored: false };
+  });
+  (base.workdays || []).filter(inYear).forEach(time => {
+    entries[time] = { time: time, type: 'workday', source: 'public', note: '', ignored: false };
+  });
+  overrides.filter(o => inYear(o.time)).forEach(override => {
+    if (override.type === 'ignore') {
+      if (entries[override.time]) {
+        entries[override.time].ignored = true;
+        entries[override.time].note = override.note;
+      }
+      return;
+    }
+    entries[override.time] = { time: override.time, type: override.type, source: 'company', note: override.note, ignored: false };
+  });
+  return Object.keys(entries).map(Number).sort((a, b) => a - b).map(time => entries[time]);
+}
+
+function getHolidayCalendarView(year) {
+  try {
+    year = parseInt(year, 10) || new Date().getFullYear();
+    return buildHolidayCalendarView(getPublicHolidayData(), loadHolidayOverrides(), year).map(entry => {
+      const date = new Date(entry.time);
+      return {
+        date: formatDate(date),
+        weekday: '日一二三四五六'.charAt(date.getDay()),
+        type: entry.type,
+        source: entry.source,
+        note: entry.note,
+        ignored: entry.ignored
+      };
+    });
+  } catch (e) {
+    logError(e, 'getHolidayCalendarView');
+    return null;
+  }
+}
@@ -0,0 +1,213 @@
+/**
+ * @fileoverview 假日資料來源管理：快取有效期限、年度涵蓋檢查，以及由雲端硬碟匯入
+ * 行政院人事行政總處「政府行政機關辦公日曆表」(CSV / JSON) 作為 Google 行事曆的備援來源。
+ */
+
+// =================================================================
+// SECTION: 快取有效期限
+// =================================================================
+
+const DEFAULT_HOLIDAY_CACHE_TTL_DAYS = 7;
+
+function getHolidayCacheTtlDays() {
+  const days = parseInt(scriptProperties.getProperty('holidayCacheTtlDays'), 10);
+  return days > 0 ? days : DEFAULT_HOLIDAY_CACHE_TTL_DAYS;
+}
+
+function isHolidayCacheStale(now) {
+  const updated = scriptProperties.getProperty('holidayCacheUpdated');
+  if (!updated) return true;
+  const age = (now || new Date()).getTime() - new Date(updated).getTime();
+  return isNaN(age) || age > getHolidayCacheTtlDays() * 86400000;
+}
+
+// =================================================================
+// SECTION: 年度涵蓋 (純函式，方便測試)
+// =================================================================
+
+// 有任何假日資料的年度視為已涵蓋
+function getHolidayCoverageYears(data) {
+  const years = {};
+  (data.holidays || []).forEach(time => { years[new Date(time).getFullYear()] = true; });
+  return Object.keys(years).map(Number).sort((a, b) => a - b);
+}
+
+/**
+ * 以 Google 行事曆為主，primary 未涵蓋的年度改用備援資料。
+ * @return {{holidays: Array<number>, workdays: Array<number>, coverage: Object<string, string>}}
+ *     coverage 為 {年度: 'google' | 'dgpa'}。
+ */
+function combineHolidaySources(primary, fallback) {
+  const coverage = {};
+  getHolidayCoverageYears(primary).forEach(year => { coverage[year] = 'google'; });
+  const fallbackYears = fallback ? getHolidayCoverageYears(fallback).filter(year => !coverage[year]) : [];
+  fallbackYears.forEach(year => { coverage[year] = 'dgpa'; });
+  const fromFallback = time => fallbackYears.indexOf(new Date(time).getFullYear()) !== -1;
+  const merge = (a, b) => a.concat(b.filter(fromFallback)).sort((x, y) => x - y);
+  return {
+    holidays: merge(primary.holidays || [], fallback ? fallback.holidays || [] : []),
+    workdays: merge(primary.workdays || [], fallback ? fallback.workdays || [] : []),
+    coverage: coverage
+  };
+}
+
+function findMissingHolidayYears(data, years) {
+  const covered = data.coverage ? Object.keys(data.coverage).map(Number) : getHolidayCoverageYears(data);
+  return years.filter((year, i) => years.indexOf(year) === i && covered.indexOf(year) === -1);
+}
+
+function getRequiredHolidayYears(now) {
+  return [now.getFullYear(), now.getFullYear() + 1];
+}
+
+// 寄信月份與截止日月份所在的年度
+function getRuleYears(year, month, rules) {
+  const deadlineMonth = new Date(year, month - 1 + rules.deadlineRule.monthOffset, 1);
+  return [year, deadlineMonth.getFullYear()];
+}
+
+// =================================================================
+// SECTION: 政府行政機關辦公日曆表
+// =================================================================
+
+function _parseDgpaDate(value) {
+  const text = String(value || '').trim();
+  const match = text.match(/^(\d{4})(\d{2})(\d{2})$/) || text.match(/^(\d{4})[\/-](\d{1,2})[\/-](\d{1,2})$/);
+  return match ? new Date(parseInt(match[1], 10), parseInt(match[2], 10) - 1, parseInt(match[3], 10)) : null;
+}
+
+function _isDgpaHoliday(value) {
+  const text = String(value || '').trim();
+  return text === '2' || text === '是' || text.toLowerCase() === 'true';
+}
+
+function _splitCsvLine(line) {
+  const cells = [];
+  let current = '';
+  let inQuotes = false;
+  for (let i = 0; i < line.length; i++) {
+    const ch = line.charAt(i);
+    if (ch === '"') {
+      if (inQuotes && line.charAt(i + 1) === '"') {
+        current += '"';
+        i++;
+      } else {
+        inQuotes = !inQuotes;
+      }
+    } else if (ch === ',' && !inQuotes) {
+      cells.push(current);
+      current = '';
+    } else {
+      current += ch;
+    }
+  }
+  cells.push(current);
+  return cells.map(cell => cell.trim());
+}
+
+/**
+ * 解析辦公日曆表。欄位支援「西元日期 / 是否放假 (2 = 放假, 0 = 上班)」與「date / isHoliday (是 / 否)」兩種格式。
+ * 只保留平日放假 (假日) 與週末上班 (補班日)。
+ */
+function parseDgpaCalendar(text) {
+  const content = String(text || '').replace(/^\uFEFF/, '').trim();
+  let rows;
+  if (content.charAt(0) === '[' || content.charAt(0) === '{') {
+    const json = JSON.parse(content);
+    rows = (Array.isArray(json) ? json : (json.data || json.records || [])).map(item => ({
+      date: item['西元日期'] || item.date || item.Date,
+      holiday: item['是否放假'] !== undefined ? item['是否放假'] : (item.isHoliday !== undefined ? item.isHoliday : item.isholiday)
+    }));
+  } else {
+    const lines = content.split(/\r\n|\n|\r/).filter(line => line.trim());
+    const header = _splitCsvLine(lines[0]);
+    const dateIndex = header.findIndex(h => h === '西元日期' || h.toLowerCase() === 'date');
+    const holidayIndex = header.findIndex(h => h === '是否放假' || h.toLowerCase() === 'isholiday');
+    if (dateIndex === -1 || holidayIndex === -1) {
+      throw new Error('無法辨識辦公日曆表欄位，需包含「西元日期」與「是否放假」。');
+    }
+    rows = lines.slice(1).map(line => {
+      const cells = _splitCsvLine(line);
+      return { date: cells[dateIndex], holiday: cells[holidayIndex] };
+    });
+  }
+
+  const holidays = [];
+  const workdays = [];
+  rows.forEach(row => {
+    const date = _parseDgpaDate(row.date);
+    if (!date) return;
+    const isWeekend = date.getDay() === 0 || date.getDay() === 6;
+    const isHoliday = _isDgpaHoliday(row.holiday);
+    if (isHoliday && !isWeekend) holidays.push(date.getTime());
+    if (!isHoliday && isWeekend) workdays.push(date.getTime());
+  });
+  return { holidays: holidays.sort((a, b) => a - b), workdays: workdays.sort((a, b) => a - b) };
+}
+
+function readFallbackHolidayData() {
+  const cache = scriptProperties.getProperty('holidayFallbackCache');
+  if (!cache) return null;
+  try {
+    return JSON.parse(cache);
+  } catch (e) {
+    logError(e, 'readFallbackHolidayData');
+    return null;
+  }
+}
+
+// 匯入雲端硬碟上的辦公日曆表；再次匯入時會與既有的備援資料合併 (同年度以新檔案為準)
+function importDgpaCalendar(fileIdOrUrl) {
+  try {
+    const file = DriveApp.getFileById(extractDriveId(fileIdOrUrl));
+    const parsed = parseDgpaCalendar(file.getBlob().getDataAsString('UTF-8'));
+    const years = getHolidayCoverageYears(parsed);
+    if (!years.length) {
+      return { success: false, message: '檔案中沒有可用的假日資料，請確認檔案格式。' };
+    }
+    const existing = readFallbackHolidayData();
+    const merged = existing ? combineHolidaySources(parsed, existing) : parsed;
+    scriptProperties.setProperty('holidayFallbackCache', JSON.stringify({ holidays: merged.holidays, workdays: merged.workdays }));
+    scriptProperties.setProperty('holidayFallbackSource', file.getName());
+    scriptProperties.setProperty('holidayFallbackUpdated', new Date().toISOString());
+    console.log(`已匯入辦公日曆表「${file.getName()}」，涵蓋 ${years.join('、')} 年`);
+    return { success: true, message: `已匯入「${file.getName()}」，涵蓋 ${years.join('、')} 年。` };
+  } catch (e) {
+    logError(e, 'importDgpaCalendar');
+    return { success: false, message: '匯入失敗：' + (e && e.message ? e.message : e) };
+  }
+}
+
+function clearFallbackHolidayData() {
+  ['holidayFallbackCache', 'holidayFallbackSource', 'holidayFallbackUpdated'].forEach(key => scriptProperties.deleteProperty(key));
+  return '已清除備援假日資料。';
+}
+
+// =================================================================
+// SECTION: 設定介面
+// =================================================================
+
+function getHolidayDataStatus() {
+  try {
+    const data = getPublicHolidayData();
+    return {
+      updated: scriptProperties.getProperty('holidayCacheUpdated') || '',
+      skipped: scriptProperties.getProperty('holidayCacheSkipped') || '',
+      stale: isHolidayCacheStale(),
+      ttlDays: getHolidayCacheTtlDays(),
+      coverage: data.coverage,
+      missingYears: findMissingHolidayYears(data, getRequiredHolidayYears(new Date())),
+      fallbackSource: scriptProperties.getProperty('holidayFallbackSource') || '',
+      fallbackUpdated: scriptProperties.getProperty('holidayFallbackUpdated') || ''
+    };
+  } catch (e) {
+    logError(e, 'getHolidayDataStatus');
+    return null;
+  }
+}
+
+function refreshHolidayCache() {
+  if (!updateHolidayCache()) return '假日資料更新失敗，請檢查日誌。';
+  const skipped = scriptProperties.getProperty('holidayCacheSkipped');
+  return skipped ? `假日資料已更新，但略過 ${skipped}。` : '假日資料已更新。';
+}
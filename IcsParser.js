@@ -0,0 +1,243 @@
+/**
+ * @fileoverview iCalendar (RFC 5545) 解析：處理折行、跳脫字元、DATE / DATE-TIME (含 TZID 與 UTC)、
+ * 多日事件 (DTEND) 與重複規則 (RRULE / EXDATE)，並將假日行事曆轉換為 {holidays, workdays}。
+ */
+
+// =================================================================
+// SECTION: 基本語法
+// =================================================================
+
+// 還原折行：以空白或 Tab 開頭的行接續上一行 (RFC 5545 3.1)
+function unfoldIcsLines(text) {
+  const lines = [];
+  String(text || '').replace(/\r\n|\r/g, '\n').split('\n').forEach(line => {
+    if ((line.charAt(0) === ' ' || line.charAt(0) === '\t') && lines.length) {
+      lines[lines.length - 1] += line.substring(1);
+    } else if (line) {
+      lines.push(line);
+    }
+  });
+  return lines;
+}
+
+// 解析一行內容為 {name, params, value}；參數值可用雙引號包住冒號或分號
+function parseIcsProperty(line) {
+  let inQuotes = false;
+  let colon = -1;
+  for (let i = 0; i < line.length; i++) {
+    const ch = line.charAt(i);
+    if (ch === '"') inQuotes = !inQuotes;
+    if (ch === ':' && !inQuotes) {
+      colon = i;
+      break;
+    }
+  }
+  if (colon === -1) return null;
+  const head = line.substring(0, colon).split(';');
+  const params = {};
+  head.slice(1).forEach(param => {
+    const eq = param.indexOf('=');
+    if (eq !== -1) {
+      params[param.substring(0, eq).toUpperCase()] = param.substring(eq + 1).replace(/^"|"$/g, '');
+    }
+  });
+  return { name: head[0].toUpperCase(), params: params, value: line.substring(colon + 1) };
+}
+
+function unescapeIcsText(value) {
+  return String(value).replace(/\\([\\;,nN])/g, (match, ch) => (ch === 'n' || ch === 'N') ? '\n' : ch);
+}
+
+/**
+ * 解析 DATE 或 DATE-TIME 值。UTC 時間 (Z 結尾) 會換算為腳本時區；TZID 與浮動時間直接取其日期。
+ * @return {{date: Date, dateTime: Date, isDate: boolean}|null} date 為當地日期零時。
+ */
+function parseIcsDateValue(value, params) {
+  const match = String(value).trim().match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/);
+  if (!match) return null;
+  const y = parseInt(match[1], 10);
+  const m = parseInt(match[2], 10) - 1;
+  const d = parseInt(match[3], 10);
+  const isDate = (params && params.VALUE === 'DATE') || match[4] === undefined;
+  if (isDate) {
+    const date = new Date(y, m, d);
+    return { date: date, dateTime: date, isDate: true };
+  }
+  const h = parseInt(match[4], 10);
+  const min = parseInt(match[5], 10);
+  const s = parseInt(match[6], 10);
+  const dateTime = match[7] ? new Date(Date.UTC(y, m, d, h, min, s)) : new Date(y, m, d, h, min, s);
+  return {
+    date: new Date(dateTime.getFullYear(), dateTime.getMonth(), dateTime.getDate()),
+    dateTime: dateTime,
+    isDate: false
+  };
+}
+
+// 只支援 FREQ / INTERVAL / COUNT / UNTIL；BYDAY、BYMONTH 等其他規則列入 unsupported，由呼叫端略過該事件
+function parseRrule(value) {
+  const rule = { freq: null, interval: 1, count: null, until: null, unsupported: [] };
+  String(value).split(';').forEach(part => {
+    const eq = part.indexOf('=');
+    if (eq === -1) return;
+    const key = part.substring(0, eq).toUpperCase();
+    const val = part.substring(eq + 1);
+    if (key === 'FREQ') rule.freq = val.toUpperCase();
+    else if (key === 'INTERVAL') rule.interval = Math.max(1, parseInt(val, 10) || 1);
+    else if (key === 'COUNT') rule.count = parseInt(val, 10) || null;
+    else if (key === 'UNTIL') {
+      const until = parseIcsDateValue(val, {});
+      rule.until = until ? until.date : null;
+    } else if (key !== 'WKST') {
+      rule.unsupported.push(key);
+    }
+  });
+  return rule;
+}
+
+// =================================================================
+// SECTION: 事件解析與展開
+// =================================================================
+
+function parseIcsEvents(text) {
+  const events = [];
+  let current = null;
+  let nested = 0;
+  unfoldIcsLines(text).forEach(line => {
+    const prop = parseIcsProperty(line);
+    if (!prop) return;
+    if (prop.name === 'BEGIN') {
+      if (prop.value.toUpperCase() === 'VEVENT') {
+        current = { summary: '', description: '', start: null, end: null, rrule: null, exdates: [], status: '' };
+      } else if (current) {
+        nested++;
+      }
+      return;
+    }
+    if (prop.name === 'END') {
+      if (prop.value.toUpperCase() === 'VEVENT' && current) {
+        if (current.start) events.push(current);
+        current = null;
+        nested = 0;
+      } else if (current && nested > 0) {
+        nested--;
+      }
+      return;
+    }
+    // 略過 VALARM 等子元件內的屬性
+    if (!current || nested > 0) return;
+    switch (prop.name) {
+      case 'SUMMARY': current.summary = unescapeIcsText(prop.value).trim(); break;
+      case 'DESCRIPTION': current.description = unescapeIcsText(prop.value).trim(); break;
+      case 'STATUS': current.status = prop.value.trim().toUpperCase(); break;
+      case 'DTSTART': current.start = parseIcsDateValue(prop.value, prop.params); break;
+      case 'DTEND': current.end = parseIcsDateValue(prop.value, prop.params); break;
+      case 'RRULE': current.rrule = parseRrule(prop.value); break;
+      case 'EXDATE':
+        prop.value.split(',').forEach(value => {
+          const exdate = parseIcsDateValue(value, prop.params);
+          if (exdate) current.exdates.push(exdate.date.getTime());
+        });
+        break;
+    }
+  });
+  return events;
+}
+
+// 事件涵蓋的天數：全天事件 DTEND 不含當天；有時間的事件結束於零時則不含結束當天
+function getIcsEventDayCount(event) {
+  if (!event.end) return 1;
+  const startDay = event.start.date;
+  const endDay = event.end.date;
+  const endsAtMidnight = event.end.isDate || event.end.dateTime.getTime() === endDay.getTime();
+  const days = Math.round((endDay.getTime() - startDay.getTime()) / 86400000) + (endsAtMidnight ? 0 : 1);
+  return Math.max(1, days);
+}
+
+function _addIcsInterval(date, freq, amount) {
+  const next = new Date(date.getFullYear(), date.getMonth(), date.getDate());
+  if (freq === 'DAILY') next.setDate(next.getDate() + amount);
+  else if (freq === 'WEEKLY') next.setDate(next.getDate() + amount * 7);
+  else if (freq === 'MONTHLY') next.setMonth(next.getMonth() + amount);
+  else if (freq === 'YEARLY') next.setFullYear(next.getFullYear() + amount);
+  else return null;
+  return next;
+}
+
+/**
+ * 將事件展開為所涵蓋的每一天 (當地零時的 timestamp)，重複事件展開至 until 為止。
+ */
+function expandIcsEvent(event, until) {
+  const occurrences = [];
+  const rule = event.rrule;
+  if (!rule || !rule.freq) {
+    occurrences.push(event.start.date);
+  } else {
+    let date = event.start.date;
+    // 最多展開 1000 次，避免資料異常時無窮迴圈
+    for (let i = 0; date && i < 1000; i++) {
+      if (rule.count && i >= rule.count) break;
+      if (rule.until && date.getTime() > rule.until.getTime()) break;
+      if (until && date.getTime() >= until.getTime()) break;
+      if (event.exdates.indexOf(date.getTime()) === -1) occurrences.push(date);
+      date = _addIcsInterval(event.start.date, rule.freq, rule.interval * (i + 1));
+    }
+  }
+
+  const dayCount = getIcsEventDayCount(event);
+  const days = [];
+  occurrences.forEach(start => {
+    for (let d = 0; d < dayCount; d++) {
+      days.push(new Date(start.getFullYear(), start.getMonth(), start.getDate() + d).getTime());
+    }
+  });
+  return days;
+}
+
+// =================================================================
+// SECTION: 假日資料
+// =================================================================
+
+/**
+ * 解析政府行事曆 ICS，回傳假日與補班日 (當地零時的 timestamp，已排序去重)。
+ * 重複規則含不支援的部分 (如 BYDAY) 時無法正確展開，整個事件略過並列入 skipped。
+ * @param {string} icalData ICS 內容。
+ * @param {{until: Date}=} options 重複事件展開的截止日，預設為兩年後的 1 月 1 日。
+ * @return {{holidays: number[], workdays: number[], skipped: Array<{summary: string, date: Date, parts: string[]}>}}
+ */
+function parseHolidayData(icalData, options) {
+  options = options || {};
+  const until = options.until || new Date(new Date().getFullYear() + 2, 0, 1);
+  const holidays = {};
+  const workdays = {};
+  const skipped = [];
+
+  parseIcsEvents(icalData).forEach(event => {
+    if (event.status === 'CANCELLED') return;
+    const summary = event.summary;
+    const description = event.description;
+    let target = null;
+    if (summary.includes('補班')) {
+      target = workdays;
+    } else if (description.includes('國定假日') || summary.includes('補假') || summary.includes('厂礼拜')) {
+      target = holidays;
+    }
+    if (!target) return;
+    if (event.rrule && event.rrule.unsupported.length) {
+      skipped.push({ summary: summary, date: event.start.date, parts: event.rrule.unsupported });
+      return;
+    }
+    expandIcsEvent(event, until).forEach(time => { target[time] = true; });
+  });
+
+  const toSortedTimes = map => Object.keys(map).map(Number).sort((a, b) => a - b);
+  return { holidays: toSortedTimes(holidays), workdays: toSortedTimes(workdays), skipped: skipped };
+}
+
+// 略過事件的摘要文字，例如「國慶日 (2024/10/10，BYMONTH、BYDAY)」
+function describeSkippedIcsEvents(skipped) {
+  return skipped.map(item => {
+    const date = `${item.date.getFullYear()}/${item.date.getMonth() + 1}/${item.date.getDate()}`;
+    return `${item.summary} (${date}，${item.parts.join('、')})`;
+  }).join('；');
+}
@@ -0,0 +1,363 @@
+/**
+ * @fileoverview 信件內文轉換：逐行解析區塊 (段落、項目符號清單、編號清單)，段落內再以遞迴方式
+ * 解析樣式標記 (**紅字**…**紅字** 等)、粗體與超連結，因此可以巢狀使用，也可以跨越同一段落的多行。
+ * 同一份解析結果輸出為 HTML 與純文字兩種版本；HTML 只使用 inline style，避免郵件軟體移除 <style>，
+ * 連結只允許白名單內的網址。
+ */
+
+// =================================================================
+// SECTION: 樣式標記
+// =================================================================
+
+const DEFAULT_STYLE_MARKERS = [
+  { name: '紅字', style: 'background-color:#ffff00; color:#cc0000; font-weight:bold;' },
+  { name: '黃底', style: 'background-color:#ffff00; color:#000000; font-weight:bold;' },
+  { name: '重要', style: 'background-color:#ffff00; color:#cc0000; font-weight:bold;' },
+  { name: '粗體', style: 'font-weight:bold;' }
+];
+
+const SAFE_URL_PATTERN = /^(https?:\/\/|mailto:|tel:)/i;
+
+// 只保留「屬性: 值」形式且不含 url()、expression() 等內容的宣告
+function sanitizeInlineCss(style) {
+  return String(style || '').split(';')
+      .map(declaration => declaration.trim())
+      .filter(declaration => /^[a-z-]+\s*:\s*[#\w\s.,%-]+$/i.test(declaration) && !/expression|javascript/i.test(declaration))
+      .map(declaration => declaration.replace(/\s*:\s*/, ':') + ';')
+      .join(' ');
+}
+
+// 內建標記可在設定中以同名標記覆寫樣式
+function getStyleMarkers(settings) {
+  const markers = DEFAULT_STYLE_MARKERS.map(marker => Object.assign({}, marker));
+  _parseStyleMarkerSetting(settings && settings.styleMarkers).forEach(custom => {
+    const existing = markers.filter(marker => marker.name === custom.name)[0];
+    if (existing) existing.style = custom.style;
+    else markers.push(custom);
+  });
+  return markers;
+}
+
+function _parseStyleMarkerSetting(json) {
+  if (!json) return [];
+  try {
+    const list = JSON.parse(json);
+    return Array.isArray(list)
+        ? list.map(item => ({ name: String(item.name || '').trim(), style: sanitizeInlineCss(item.style) }))
+            .filter(item => item.name && item.style)
+        : [];
+  } catch (e) {
+    logError(e, 'getStyleMarkers');
+    return [];
+  }
+}
+
+function validateStyleMarkers(settings) {
+  if (!settings.styleMarkers) return [];
+  let list;
+  try {
+    list = JSON.parse(settings.styleMarkers);
+  } catch (e) {
+    return ['格式標記設定格式錯誤'];
+  }
+  const errors = [];
+  (Array.isArray(list) ? list : []).forEach(item => {
+    const name = String(item.name || '').trim();
+    if (!name || /[*\s\[\]]/.test(name)) {
+      errors.push(`格式標記名稱「${name}」無效：不可空白，也不可包含 *、[、] 或空白`);
+    } else if (!sanitizeInlineCss(item.style)) {
+      errors.push(`格式標記「${name}」沒有有效的樣式 (例：color:#0066cc; font-weight:bold;)`);
+    }
+  });
+  return errors;
+}
+
+// =================================================================
+// SECTION: 行內解析
+// =================================================================
+
+// text 在 index 位置是否為某個樣式標記的開頭 (**名稱**)；名稱較長的優先比對
+function _matchStyleMarker(text, index, markers) {
+  return markers.filter(marker => text.startsWith(`**${marker.name}**`, index))
+      .sort((a, b) => b.name.length - a.name.length)[0] || null;
+}
+
+// 找出一般粗體的結尾 **，略過中間完整的樣式標記區段
+function _findBoldEnd(text, from, markers) {
+  let i = from;
+  while (i < text.length) {
+    if (!text.startsWith('**', i)) {
+      i++;
+      continue;
+    }
+    const marker = _matchStyleMarker(text, i, markers);
+    if (!marker) return i;
+    const token = `**${marker.name}**`;
+    const close = text.indexOf(token, i + token.length);
+    if (close === -1) return i;
+    i = close + token.length;
+  }
+  return -1;
+}
+
+// 連結網址的結尾：網址中可包含成對的括號 (例如維基百科或部分雲端硬碟連結)，找不到時回傳 -1
+function _findLinkUrlEnd(text, start) {
+  let depth = 0;
+  for (let i = start; i < text.length; i++) {
+    const ch = text.charAt(i);
+    if (ch === '\n') return -1;
+    if (ch === '(') depth++;
+    if (ch === ')') {
+      if (!depth) return i;
+      depth--;
+    }
+  }
+  return -1;
+}
+
+/**
+ * 解析行內語法為節點：{type: 'text', value}、{type: 'break'}、{type: 'style', style, children}、
+ * {type: 'strong', children}、{type: 'link', url, children}。
+ */
+function parseInlineMarkdown(text, markers) {
+  const nodes = [];
+  let buffer = '';
+  const flush = () => {
+    if (buffer) nodes.push({ type: 'text', value: buffer });
+    buffer = '';
+  };
+  let i = 0;
+  while (i < text.length) {
+    if (text.startsWith('**', i)) {
+      const marker = _matchStyleMarker(text, i, markers);
+      if (marker) {
+        // 樣式標記：找不到對應的結尾時原樣輸出，避免被當成一般粗體
+        const token = `**${marker.name}**`;
+        const close = text.indexOf(token, i + token.length);
+        if (close === -1) {
+          buffer += token;
+          i += token.length;
+          continue;
+        }
+        flush();
+        nodes.push({ type: 'style', style: marker.style, children: parseInlineMarkdown(text.substring(i + token.length, close), markers) });
+        i = close + token.length;
+        continue;
+      }
+      const end = _findBoldEnd(text, i + 2, markers);
+      if (end > i + 2) {
+        flush();
+        nodes.push({ type: 'strong', children: parseInlineMarkdown(text.substring(i + 2, end), markers) });
+        i = end + 2;
+        continue;
+      }
+      buffer += '**';
+      i += 2;
+      continue;
+    }
+    if (text.charAt(i) === '[') {
+      const labelEnd = text.indexOf('](', i + 1);
+      const urlEnd = labelEnd === -1 ? -1 : _findLinkUrlEnd(text, labelEnd + 2);
+      if (labelEnd > i + 1 && urlEnd !== -1 && text.substring(i + 1, labelEnd).indexOf(']') === -1) {
+        flush();
+        nodes.push({
+          type: 'link',
+          url: text.substring(labelEnd + 2, urlEnd).trim(),
+          children: parseInlineMarkdown(text.substring(i + 1, labelEnd), markers)
+        });
+        i = urlEnd + 1;
+        continue;
+      }
+    }
+    if (text.charAt(i) === '\n') {
+      flush();
+      nodes.push({ type: 'break' });
+    } else {
+      buffer += text.charAt(i);
+    }
+    i++;
+  }
+  flush();
+  return nodes;
+}
+
+// =================================================================
+// SECTION: 區塊解析
+// =================================================================
+
+const BULLET_LINE_PATTERN = /^\s*[l•-]\s+(.*)$/;
+const ORDERED_LINE_PATTERN = /^\s*(\d+)[.)]\s+(.*)$/;
+
+/**
+ * 解析區塊：{type: 'paragraph', children}、{type: 'blank'}、{type: 'list', ordered, start, items}。
+ * 空行或清單之間的連續文字行視為同一段落，粗體等行內樣式可跨行。
+ */
+function parseMarkdownBlocks(text, markers) {
+  const lines = String(text).replace(/(\r\n|\n|\r)$/, '').split(/\r\n|\n|\r/);
+  const blocks = [];
+  let list = null;
+  let paragraph = [];
+
+  const closeParagraph = () => {
+    if (!paragraph.length) return;
+    blocks.push({ type: 'paragraph', children: parseInlineMarkdown(paragraph.join('\n'), markers) });
+    paragraph = [];
+  };
+  const closeList = () => {
+    if (list) blocks.push(list);
+    list = null;
+  };
+
+  lines.forEach(line => {
+    const bullet = line.match(BULLET_LINE_PATTERN);
+    const ordered = bullet ? null : line.match(ORDERED_LINE_PATTERN);
+    if (bullet || ordered) {
+      closeParagraph();
+      if (list && list.ordered !== !!ordered) closeList();
+      if (!list) list = { type: 'list', ordered: !!ordered, start: ordered ? parseInt(ordered[1], 10) : 1, items: [] };
+      list.items.push(parseInlineMarkdown(bullet ? bullet[1] : ordered[2], markers));
+      return;
+    }
+    closeList();
+    if (line.trim()) {
+      paragraph.push(line);
+    } else {
+      closeParagraph();
+      blocks.push({ type: 'blank' });
+    }
+  });
+  closeParagraph();
+  closeList();
+  return blocks;
+}
+
+// =================================================================
+// SECTION: HTML 輸出
+// =================================================================
+
+function _escapeHtmlText(text) {
+  return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+function _escapeHtmlAttribute(text) {
+  return _escapeHtmlText(text).replace(/"/g, '&quot;');
+}
+
+function _renderInlineHtml(nodes) {
+  return nodes.map(node => {
+    switch (node.type) {
+      case 'text': return _escapeHtmlText(node.value);
+      case 'break': return '<br>\n';
+      case 'style': return `<span style="${_escapeHtmlAttribute(node.style)}">${_renderInlineHtml(node.children)}</span>`;
+      case 'strong': return `<strong>${_renderInlineHtml(node.children)}</strong>`;
+      case 'link':
+        // 不在白名單內的網址 (javascript:、data: 等) 只保留顯示文字
+        return SAFE_URL_PATTERN.test(node.url)
+            ? `<a href="${_escapeHtmlAttribute(node.url)}" target="_blank">${_renderInlineHtml(node.children)}</a>`
+            : _renderInlineHtml(node.children);
+    }
+    return '';
+  }).join('');
+}
+
+/**
+ * 將內文轉為 HTML。每一行文字以 <br> 結尾，連續的清單項目合併為 <ul> / <ol>。
+ * @param {string} text 內文。
+ * @param {{markers: Array<{name: string, style: string}>}=} options 樣式標記，預設為 DEFAULT_STYLE_MARKERS。
+ */
+function markdownToHtml(text, options) {
+  if (!text) return '';
+  const markers = (options && options.markers) || DEFAULT_STYLE_MARKERS;
+  return parseMarkdownBlocks(text, markers).map(block => {
+    if (block.type === 'blank') return '<br>\n';
+    if (block.type === 'paragraph') return _renderInlineHtml(block.children) + '<br>\n';
+    const tag = block.ordered ? 'ol' : 'ul';
+    const start = block.ordered && block.start !== 1 ? ` start="${block.start}"` : '';
+    return `<${tag}${start}>${block.items.map(item => `<li>${_renderInlineHtml(item)}</li>\n`).join('')}</${tag}>`;
+  }).join('');
+}
+
+// =================================================================
+// SECTION: 純文字輸出
+// =================================================================
+
+function _renderInlineText(nodes) {
+  return nodes.map(node => {
+    switch (node.type) {
+      case 'text': return node.value;
+      case 'break': return '\n';
+      case 'style':
+      case 'strong': return _renderInlineText(node.children);
+      case 'link': {
+        const label = _renderInlineText(node.children);
+        if (!SAFE_URL_PATTERN.test(node.url) || label === node.url) return label;
+        return `${label} (${node.url.replace(/^mailto:/i, '')})`;
+      }
+    }
+    return '';
+  }).join('');
+}
+
+/**
+ * 由同一份內文產生純文字版本：移除樣式標記，連結顯示為「文字 (網址)」，清單保留項目符號或編號。
+ */
+function markdownToPlainText(text, options) {
+  if (!text) return '';
+  const markers = (options && options.markers) || DEFAULT_STYLE_MARKERS;
+  return parseMarkdownBlocks(text, markers).map(block => {
+    if (block.type === 'blank') return '';
+    if (block.type === 'paragraph') return _renderInlineText(block.children);
+    return block.items.map((item, i) => (block.ordered ? `${block.start + i}. ` : '• ') + _renderInlineText(item)).join('\n');
+  }).join('\n');
+}
+
+// 將 HTML (例如 Gmail 簽名檔) 轉為純文字
+function htmlToPlainText(html) {
+  return String(html || '')
+      .replace(/<a\s[^>]*href="([^"]*)"[^>]*>([\s\S]*?)<\/a>/gi, (match, url, label) => {
+        const text = label.replace(/<[^>]+>/g, '');
+        return text === url ? url : `${text} (${url})`;
+      })
+      .replace(/<br\s*\/?>/gi, '\n')
+      .replace(/<\/(p|div|li|tr|h\d)>/gi, '\n')
+      .replace(/<[^>]+>/g, '')
+      .replace(/&nbsp;/g, ' ')
+      .replace(/&lt;/g, '<')
+      .replace(/&gt;/g, '>')
+      .replace(/&quot;/g, '"')
+      .replace(/&#39;/g, "'")
+      .replace(/&amp;/g, '&')
+      .replace(/\n{3,}/g, '\n\n')
+      .trim();
+}
+
+// =================================================================
+// SECTION: 信件組成
+// =================================================================
+
+// 以表格排版並使用 inline style，Outlook (Word 排版引擎) 與行動裝置郵件軟體都能正確顯示
+function wrapEmailHtml(contentHtml) {
+  const fontFamily = "'Microsoft JhengHei', 'PingFang TC', Arial, sans-serif";
+  return '<!DOCTYPE html>' +
+      '<html><head><meta http-equiv="Content-Type" content="text/html; charset=UTF-8">' +
+      '<meta name="viewport" content="width=device-width, initial-scale=1.0">' +
+      `<!--[if mso]><style>body, table, td { font-family: ${fontFamily} !important; }</style><![endif]-->` +
+      '</head><body style="margin:0; padding:0;">' +
+      '<table role="presentation" width="100%" cellpadding="0" cellspacing="0" border="0" style="border-collapse:collapse;">' +
+      `<tr><td style="padding:16px; font-family:${fontFamily}; font-size:14px; line-height:1.6; color:#222222;">` +
+      contentHtml +
+      '</td></tr></table></body></html>';
+}
+
+/**
+ * 由範本內文產生寄信用的 HTML 與純文字內容，兩者都附上簽名檔。
+ * @return {{html: string, text: string}}
+ */
+function composeEmailBodies(body, settings, signature) {
+  const options = { markers: getStyleMarkers(settings) };
+  const plainSignature = htmlToPlainText(signature);
+  return {
+    html: wrapEmailHtml(markdownToHtml(body, options) + (signature || '')),
+    text: markdownToPlainText(body, options) + (plainSignature ? '\n\n-- \n' + plainSignature : '')
+  };
+}
@@ -0,0 +1,184 @@
+/**
+ * @fileoverview 收件者名單：以試算表中的「收件者名單」工作表管理收件者 (Email、姓名、部門、公司別、角色、啟用)，
+ * 寄信時依適用範本選定的群組 (部門 / 公司別) 解析出 To、CC、BCC。工作表沒有資料時沿用「收件者 Email」設定。
+ */
+
+// =================================================================
+// SECTION: 名單工作表
+// =================================================================
+
+const RECIPIENT_SHEET_NAME = '收件者名單';
+const RECIPIENT_HEADERS = ['Email', '姓名', '部門', '公司別', '角色', '啟用'];
+const RECIPIENT_ROLES = ['To', 'CC', 'BCC'];
+
+function getRecipientSheet() {
+  return SpreadsheetApp.getActiveSpreadsheet().getSheetByName(RECIPIENT_SHEET_NAME);
+}
+
+function createRecipientSheet() {
+  try {
+    const spreadsheet = SpreadsheetApp.getActiveSpreadsheet();
+    let sheet = spreadsheet.getSheetByName(RECIPIENT_SHEET_NAME);
+    if (!sheet) {
+      sheet = spreadsheet.insertSheet(RECIPIENT_SHEET_NAME);
+      sheet.appendRow(RECIPIENT_HEADERS);
+      sheet.setFrozenRows(1);
+      sheet.getRange(1, 1, 1, RECIPIENT_HEADERS.length).setFontWeight('bold');
+      const maxRows = sheet.getMaxRows() - 1;
+      sheet.getRange(2, 5, maxRows, 1).setDataValidation(
+          SpreadsheetApp.newDataValidation().requireValueInList(RECIPIENT_ROLES, true).build());
+      sheet.getRange(2, 6, maxRows, 1).insertCheckboxes();
+    }
+    spreadsheet.setActiveSheet(sheet);
+    return `已開啟「${RECIPIENT_SHEET_NAME}」工作表。`;
+  } catch (e) {
+    logError(e, 'createRecipientSheet');
+    return '無法建立收件者名單，請檢查日誌。';
+  }
+}
+
+function readRecipientDirectory() {
+  const sheet = getRecipientSheet();
+  if (!sheet || sheet.getLastRow() < 2) return [];
+  return sheet.getRange(2, 1, sheet.getLastRow() - 1, RECIPIENT_HEADERS.length).getValues()
+      .map((row, i) => ({
+        row: i + 2,
+        email: String(row[0]).trim(),
+        name: String(row[1]).trim(),
+        department: String(row[2]).trim(),
+        company: String(row[3]).trim(),
+        role: normalizeRecipientRole(row[4]),
+        active: row[5] === true || String(row[5]).toUpperCase() === 'TRUE'
+      }))
+      .filter(entry => entry.email);
+}
+
+// =================================================================
+// SECTION: 名單解析 (純函式，方便測試)
+// =================================================================
+
+function isValidEmail(email) {
+  return /^[^\s@,;]+@[^\s@,;]+\.[^\s@,;]+$/.test(String(email || '').trim());
+}
+
+function parseEmailList(text) {
+  return String(text || '').split(/[,;\s]+/).map(email => email.trim()).filter(Boolean);
+}
+
+function normalizeRecipientRole(role) {
+  const upper = String(role || '').trim().toUpperCase();
+  if (upper === 'CC') return 'CC';
+  if (upper === 'BCC') return 'BCC';
+  return 'To';
+}
+
+function getRecipientEntryGroups(entry) {
+  const groups = [];
+  if (entry.department) groups.push('部門:' + entry.department);
+  if (entry.company) groups.push('公司:' + entry.company);
+  return groups;
+}
+
+function listRecipientGroups(entries) {
+  const groups = {};
+  entries.forEach(entry => getRecipientEntryGroups(entry).forEach(group => { groups[group] = true; }));
+  return Object.keys(groups).sort();
+}
+
+/**
+ * 依群組篩選啟用中的收件者；未選擇任何群組時寄給全部啟用中的收件者。
+ * 同一地址只會出現一次，角色優先順序為 To > CC > BCC。
+ * @return {{to: Array<string>, cc: Array<string>, bcc: Array<string>, invalid: Array<Object>}}
+ */
+function selectRecipients(entries, groups) {
+  groups = groups || [];
+  const result = { to: [], cc: [], bcc: [], invalid: [] };
+  const roles = {};
+  entries.forEach(entry => {
+    if (!entry.active) return;
+    if (groups.length && !getRecipientEntryGroups(entry).some(group => groups.indexOf(group) !== -1)) return;
+    if (!isValidEmail(entry.email)) {
+      result.invalid.push(entry);
+      return;
+    }
+    const email = entry.email.toLowerCase();
+    const current = roles[email];
+    if (!current || RECIPIENT_ROLES.indexOf(entry.role) < RECIPIENT_ROLES.indexOf(current.role)) {
+      roles[email] = { email: entry.email, role: entry.role };
+    }
+  });
+  Object.keys(roles).forEach(key => {
+    const item = roles[key];
+    result[item.role === 'To' ? 'to' : item.role.toLowerCase()].push(item.email);
+  });
+  return result;
+}
+
+function countRecipients(recipients) {
+  return recipients.to.length + recipients.cc.length + recipients.bcc.length;
+}
+
+function describeRecipients(recipients) {
+  const parts = [`To: ${recipients.to.join(', ')}`];
+  if (recipients.cc.length) parts.push(`CC: ${recipients.cc.join(', ')}`);
+  if (recipients.bcc.length) parts.push(`BCC: ${recipients.bcc.join(', ')}`);
+  return parts.join('; ');
+}
+
+// =================================================================
+// SECTION: 寄信時解析
+// =================================================================
+
+// 收件群組設定在各範本上，依年月取得適用範本的群組
+function getRecipientGroupsSetting(settings, year, month) {
+  const template = getTemplateForMonth(settings, year, month);
+  return template ? template.recipientGroups : [];
+}
+
+// 名單工作表有資料時依群組解析，否則使用「收件者 Email」設定 (全部為 To)
+function resolveRecipients(settings, year, month) {
+  const entries = readRecipientDirectory();
+  if (!entries.length) {
+    return { to: parseEmailList(settings.recipient), cc: [], bcc: [], invalid: [], source: 'setting' };
+  }
+  const recipients = selectRecipients(entries, getRecipientGroupsSetting(settings, year, month));
+  recipients.invalid.forEach(entry => {
+    logError(`收件者名單第 ${entry.row} 列的 Email 格式錯誤，已略過: ${entry.email}`, 'resolveRecipients');
+  });
+  recipients.source = 'directory';
+  return recipients;
+}
+
+// =================================================================
+// SECTION: 設定介面與驗證
+// =================================================================
+
+function getRecipientDirectorySummary() {
+  try {
+    const sheet = getRecipientSheet();
+    const entries = readRecipientDirectory();
+    return {
+      exists: !!sheet,
+      total: entries.length,
+      active: entries.filter(entry => entry.active).length,
+      invalid: entries.filter(entry => !isValidEmail(entry.email)).map(entry => ({ row: entry.row, email: entry.email })),
+      groups: listRecipientGroups(entries)
+    };
+  } catch (e) {
+    logError(e, 'getRecipientDirectorySummary');
+    return null;
+  }
+}
+
+function validateRecipientSettings(settings) {
+  const errors = [];
+  const invalid = parseEmailList(settings.recipient).filter(email => !isValidEmail(email));
+  if (invalid.length) {
+    errors.push(`收件者 Email 格式錯誤: ${invalid.join(', ')}`);
+  }
+  const entries = readRecipientDirectory();
+  if (!entries.length && !parseEmailList(settings.recipient).length) {
+    errors.push('尚未設定收件者：請填寫收件者 Email 或建立收件者名單。');
+  }
+  return errors;
+}
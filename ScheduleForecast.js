@@ -0,0 +1,124 @@
+/**
+ * @fileoverview 寄信日預測：列出未來 12 個月的寄信日、截止日、適用範本與造成日期調整的假日，
+ * 並標示沒有有效寄信日或假日資料未涵蓋的月份，寫入「寄信日預測」工作表供主管事先確認。
+ */
+
+// =================================================================
+// SECTION: 預測計算 (純函式，方便測試)
+// =================================================================
+
+const FORECAST_SHEET_NAME = '寄信日預測';
+const FORECAST_HEADERS = ['年月', '適用範本', '寄信日', '寄信日調整原因', '截止日', '截止日調整原因', '注意事項'];
+const FORECAST_MONTHS = 12;
+
+// 只列出假日 (不含一般週末)；公司自訂休假附上「假日調整」工作表中的說明
+function describeDateShifts(trace, holidays, holidayNotes) {
+  return trace.filter(date => holidays.indexOf(date.getTime()) !== -1)
+      .map(date => `${formatForecastDate(date)} ${holidayNotes[date.getTime()] || '假日'}`);
+}
+
+function formatForecastDate(date) {
+  return `${formatDate(date)} (${WEEKDAY_NAMES[date.getDay()]})`;
+}
+
+/**
+ * 計算從 from 所在月份起 count 個月的寄信日與截止日，規則與 sendMonthlyEmail 相同。
+ * @param {Array<Object>} templates getTemplates 的結果。
+ * @param {{holidays: Array<number>, workdays: Array<number>, coverage: Object}} holidayData
+ * @param {Object<number, string>} holidayNotes 公司自訂休假的說明，以日期的時間值為鍵。
+ * @return {Array<{year: number, month: number, templateName: string, sendDate: ?Date, deadline: ?Date,
+ *     sendShifts: Array<string>, deadlineShifts: Array<string>, warnings: Array<string>}>}
+ */
+function buildScheduleForecast(templates, holidayData, from, count, holidayNotes) {
+  const rows = [];
+  for (let i = 0; i < count; i++) {
+    const target = new Date(from.getFullYear(), from.getMonth() + i, 1);
+    const year = target.getFullYear();
+    const month = target.getMonth() + 1;
+    const template = selectTemplate(templates, year, month);
+    const rules = {
+      sendRule: template ? template.sendRule : normalizeScheduleRule(null, DEFAULT_SEND_RULE),
+      deadlineRule: template ? template.deadlineRule : normalizeScheduleRule(null, DEFAULT_DEADLINE_RULE)
+    };
+    const sendTrace = [];
+    const deadlineTrace = [];
+    const sendDate = getSendDate(year, month, holidayData.holidays, holidayData.workdays, rules.sendRule, sendTrace);
+    const deadline = getDeadlineDate(year, month, holidayData.holidays, holidayData.workdays, rules.deadlineRule, deadlineTrace);
+
+    const warnings = [];
+    if (!template) warnings.push('沒有適用的信件範本，不會寄出正式信');
+    if (!sendDate) warnings.push('本月沒有有效的寄信日');
+    if (!deadline) warnings.push('找不到有效的截止日');
+    if (sendDate && deadline && deadline < sendDate) warnings.push('截止日早於寄信日');
+    const missingYears = findMissingHolidayYears(holidayData, getRuleYears(year, month, rules));
+    if (missingYears.length) warnings.push(`假日資料未涵蓋 ${missingYears.join('、')} 年，日期可能不正確`);
+
+    rows.push({
+      year: year,
+      month: month,
+      templateName: template ? template.name : '',
+      sendDate: sendDate,
+      deadline: deadline,
+      sendShifts: describeDateShifts(sendTrace, holidayData.holidays, holidayNotes),
+      deadlineShifts: describeDateShifts(deadlineTrace, holidayData.holidays, holidayNotes),
+      warnings: warnings
+    });
+  }
+  return rows;
+}
+
+// =================================================================
+// SECTION: 工作表輸出
+// =================================================================
+
+// campaignId 為要預測的通知活動 (見 Campaigns.js)，各活動的範本與寄信日規則不同
+function writeScheduleForecast(campaignId) {
+  const holidayData = getCachedHolidayData();
+  const holidayNotes = {};
+  loadHolidayOverrides().forEach(override => {
+    if (override.type === 'holiday' && override.note) holidayNotes[override.time] = override.note;
+  });
+  const rows = buildScheduleForecast(getTemplates(getCampaignSettings(scriptProperties.getProperties(), campaignId)), holidayData, new Date(), FORECAST_MONTHS, holidayNotes);
+
+  const spreadsheet = SpreadsheetApp.getActiveSpreadsheet();
+  const sheet = spreadsheet.getSheetByName(FORECAST_SHEET_NAME) || spreadsheet.insertSheet(FORECAST_SHEET_NAME);
+  sheet.clear();
+  const values = [FORECAST_HEADERS].concat(rows.map(row => [
+    `${row.year}年${row.month}月`,
+    row.templateName || '-',
+    row.sendDate ? formatForecastDate(row.sendDate) : '無',
+    row.sendShifts.join('、'),
+    row.deadline ? formatForecastDate(row.deadline) : '無',
+    row.deadlineShifts.join('、'),
+    row.warnings.join('；')
+  ]));
+  sheet.getRange(1, 1, values.length, FORECAST_HEADERS.length).setValues(values);
+  sheet.getRange(1, 1, 1, FORECAST_HEADERS.length).setFontWeight('bold');
+  sheet.setFrozenRows(1);
+  rows.forEach((row, i) => {
+    if (row.warnings.length) sheet.getRange(i + 2, 1, 1, FORECAST_HEADERS.length).setBackground('#fce8e6');
+  });
+  const campaign = findCampaign(scriptProperties.getProperties(), campaignId);
+  sheet.getRange(values.length + 2, 1).setValue(`通知活動：${campaign ? campaign.name : campaignId}　產生時間：${formatDateTime(new Date())}`);
+  sheet.autoResizeColumns(1, FORECAST_HEADERS.length);
+  return { sheet: sheet, rows: rows };
+}
+
+function showScheduleForecast() {
+  const ui = SpreadsheetApp.getUi();
+  const campaign = promptCampaign(ui, '寄信日預測');
+  if (!campaign) return;
+  try {
+    const result = writeScheduleForecast(campaign.id);
+    SpreadsheetApp.getActiveSpreadsheet().setActiveSheet(result.sheet);
+    const flagged = result.rows.filter(row => row.warnings.length);
+    const message = flagged.length
+        ? `其中 ${flagged.length} 個月份需要注意：\n\n` +
+            flagged.map(row => `${row.year}/${row.month}：${row.warnings.join('；')}`).join('\n')
+        : '所有月份皆有有效的寄信日與截止日。';
+    ui.alert('寄信日預測', `已將「${campaign.name}」未來 ${FORECAST_MONTHS} 個月的寄信日寫入「${FORECAST_SHEET_NAME}」工作表。${message}`, ui.ButtonSet.OK);
+  } catch (e) {
+    logError(e, 'showScheduleForecast');
+    ui.alert('無法產生寄信日預測，請檢查日誌。');
+  }
+}
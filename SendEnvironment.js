@@ -0,0 +1,157 @@
+/**
+ * @fileoverview 寄信流程的執行環境：時間、資料來源 (設定、假日、收件者、寄信紀錄) 與寄信動作集中在 env 物件，
+ * sendMonthlyEmail / _coreSendEmail 只透過 env 存取，寄信監控的狀態 (警示、重試、待寄清單) 也一樣。模擬寄信以指定日期完整跑一次正式信流程，
+ * 但寄信、寫入紀錄與警示都改為收集在報告中；Tests.js 也以同樣方式替換 env 測試 sendMonthlyEmail。
+ * 每個 env 屬於一個通知活動 (campaignId，見 Campaigns.js)：設定只看得到該活動的部分，
+ * 寄信紀錄的類型、警示與執行狀態也依活動區分，寄信流程本身不需知道目前是哪個活動。
+ */
+
+// =================================================================
+// SECTION: 執行環境
+// =================================================================
+
+/**
+ * 建立執行環境；overrides 中的項目會取代預設的實際服務，overrides.campaignId 指定通知活動 (預設為預設活動)。
+ * @param {Object=} overrides
+ * @return {{campaignId: string, now: function(): Date, getSettings: function(): Object, getHolidayData: function(): Object,
+ *     resolveRecipients: function(Object, number, number): Object, hasSuccessfulSend: function(number, number, string): boolean,
+ *     recordSendHistory: function(Object), prepareDriveAttachments: function(Object, boolean): Object,
+ *     getSignature: function(): string, getSenderEmail: function(): string, getSendAs: function(string): ?Object,
+ *     sendEmail: function(Object),
+ *     getRemainingQuota: function(string=): number, sendAlert: function(string, string, string=),
+ *     resolveAlerts: function(string), readState: function(string): *, writeState: function(string, *),
+ *     scheduleRetry: function(number), sendApprovalRequest: function(Object), createDraft: function(Object): string,
+ *     getSpreadsheetInfo: function(): {url: string, name: string}, getLock: function(): Object}}
+ */
+function createSendEnvironment(overrides) {
+  const campaignId = (overrides && overrides.campaignId) || DEFAULT_CAMPAIGN_ID;
+  const kindOf = kind => qualifyCampaignKind(campaignId, kind);
+  return Object.assign({
+    campaignId: campaignId,
+    now: () => new Date(),
+    getSettings: () => getCampaignSettings(scriptProperties.getProperties(), campaignId),
+    getHolidayData: () => getCachedHolidayData(),
+    resolveRecipients: (settings, year, month) => resolveRecipients(settings, year, month),
+    hasSuccessfulSend: (year, month, kind) => hasSuccessfulSend(year, month, kindOf(kind)),
+    recordSendHistory: entry => recordSendHistory(Object.assign({}, entry, { kind: kindOf(entry.kind) })),
+    prepareDriveAttachments: (template, loadBlobs) => prepareDriveAttachments(template, loadBlobs),
+    getSignature: () => getGmailSignature(),
+    getSenderEmail: () => Session.getEffectiveUser().getEmail(),
+    getSendAs: email => lookupSendAs(email),
+    // 指定寄件別名 (message.from) 時改用 GmailApp，MailApp 只能以執行帳號的主要地址寄出
+    sendEmail: message => message.from
+        ? GmailApp.sendEmail(message.to, message.subject, message.body, {
+          from: message.from, name: message.name, cc: message.cc, bcc: message.bcc,
+          htmlBody: message.htmlBody, attachments: message.attachments
+        })
+        : MailApp.sendEmail(message),
+    // from 為寄件別名時的配額見 capSendQuota
+    getRemainingQuota: from => capSendQuota(MailApp.getRemainingDailyQuota(), from),
+    sendAlert: (subject, message, key) => notifyAdmin(describeCampaignAlert(campaignId, subject), message, key && kindOf(key)),
+    resolveAlerts: prefix => resolveAdminAlerts(kindOf(prefix)),
+    readState: key => readSendState(campaignPropertyKey(campaignId, key)),
+    writeState: (key, value) => writeSendState(campaignPropertyKey(campaignId, key), value),
+    scheduleRetry: minutes => scheduleSendRetry(minutes),
+    sendApprovalRequest: message => MailApp.sendEmail(message),
+    createDraft: message => GmailApp.createDraft(message.to, message.subject, message.body, {
+      cc: message.cc, bcc: message.bcc, htmlBody: message.htmlBody, name: message.name, from: message.from || undefined
+    }).getId(),
+    getSpreadsheetInfo: () => {
+      const spreadsheet = SpreadsheetApp.getActiveSpreadsheet();
+      return { url: spreadsheet.getUrl(), name: spreadsheet.getName() };
+    },
+    getLock: () => LockService.getScriptLock()
+  }, overrides || {});
+}
+
+// =================================================================
+// SECTION: 模擬寄信
+// =================================================================
+
+/**
+ * 以 date 當天執行正式信流程，不實際寄信、不寫入寄信紀錄、不發出警示，也不鎖定其他寄信程序。
+ * 雲端硬碟附件只檢查不載入；不補寄待寄清單，也不變動重試、警示與核准狀態 (核准請求收集在 approvals)。
+ * 假日資料只讀取現有快取，過期時不重新抓取，改在 warnings 提醒。
+ * @return {Object} sendMonthlyEmail 的結果，加上 messages (將寄出的信件)、history (將寫入的紀錄)、
+ *     alerts (將發出的警示)、attachments (附件或連結名稱)、approvals (將寄出的核准請求) 與 warnings (模擬本身的注意事項)。
+ */
+function runDryRun(date, overrides) {
+  const captured = { messages: [], history: [], alerts: [], attachments: [], approvals: [], warnings: [] };
+  const env = createSendEnvironment(Object.assign({
+    getLock: () => ({ tryLock: () => true, releaseLock: () => {} }),
+    getHolidayData: () => {
+      const warning = `假日資料快取已超過 ${getHolidayCacheTtlDays()} 天有效期限，模擬結果以現有快取計算；正式寄信時會先更新假日資料。`;
+      if (isHolidayCacheStale() && captured.warnings.indexOf(warning) === -1) captured.warnings.push(warning);
+      return readCachedHolidayData();
+    }
+  }, overrides || {}));
+  const prepare = env.prepareDriveAttachments;
+  const readState = env.readState;
+  Object.assign(env, {
+    now: () => new Date(date.getTime()),
+    prepareDriveAttachments: template => {
+      const drive = prepare(template, false);
+      captured.attachments = drive.links.map(link => link.name);
+      return drive;
+    },
+    sendEmail: message => captured.messages.push(message),
+    recordSendHistory: entry => captured.history.push(entry),
+    sendAlert: (subject, message) => captured.alerts.push({ subject: subject, message: message }),
+    resolveAlerts: () => {},
+    readState: key => key === SEND_STATE_KEYS.pending ? null : readState(key),
+    writeState: () => {},
+    scheduleRetry: () => {},
+    sendApprovalRequest: message => captured.approvals.push(message),
+    createDraft: () => ''
+  });
+  return Object.assign(sendMonthlyEmail(null, {}, env), captured, { date: date });
+}
+
+function buildDryRunReportHtml(report) {
+  const escape = text => String(text == null ? '' : text)
+      .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+  const rows = [
+    ['模擬日期', formatDate(report.date)],
+    ['結果', report.messages.length ? '會寄出正式信' : `不會寄出正式信：${report.message}`],
+    ['本月寄信日', report.sendDate ? formatDate(report.sendDate) : '-'],
+    ['使用範本', report.templateName || '-']
+  ];
+  const message = report.messages[0];
+  if (message) {
+    rows.push(['To', message.to], ['CC', message.cc || '-'], ['BCC', message.bcc || '-'], ['主旨', message.subject]);
+    rows.push(['雲端硬碟檔案', report.attachments.join('、') || '-']);
+  }
+  report.history.filter(entry => !entry.success).forEach(entry => rows.push(['寄信紀錄', entry.message]));
+  report.approvals.forEach(approval => rows.push(['核准請求', `${approval.subject} (寄給 ${approval.to})`]));
+  report.alerts.forEach(alert => rows.push(['系統警示', alert.subject]));
+  report.warnings.forEach(warning => rows.push(['注意', warning]));
+
+  let html = '<style>body{font-family:sans-serif;font-size:13px;} table{border-collapse:collapse;width:100%;}' +
+      'th,td{border:1px solid #ddd;padding:6px 8px;text-align:left;vertical-align:top;} th{background:#f1f3f4;width:110px;}' +
+      'iframe{width:100%;height:420px;border:1px solid #ddd;margin-top:10px;}</style>';
+  html += '<table>' + rows.map(row => `<tr><th>${escape(row[0])}</th><td>${escape(row[1])}</td></tr>`).join('') + '</table>';
+  if (message) html += `<iframe srcdoc="${escape(message.htmlBody)}"></iframe>`;
+  return html;
+}
+
+function menuDryRunMonthlyEmail() {
+  const ui = SpreadsheetApp.getUi();
+  const campaign = promptCampaign(ui, '模擬寄信');
+  if (!campaign) return;
+  const response = ui.prompt('模擬寄信', '請輸入模擬日期 (格式: YYYY-MM-DD，例如 2025-12-24)，將以該日期執行一次正式信流程，不會實際寄出。', ui.ButtonSet.OK_CANCEL);
+  if (response.getSelectedButton() !== ui.Button.OK) return;
+  const date = parseOverrideDate(response.getResponseText());
+  if (!date) {
+    ui.alert('日期格式錯誤，請輸入例如 2025-12-24。');
+    return;
+  }
+  try {
+    const html = HtmlService.createHtmlOutput(buildDryRunReportHtml(runDryRun(date, { campaignId: campaign.id })))
+        .setWidth(800)
+        .setHeight(650);
+    ui.showModalDialog(html, `模擬寄信報告 - ${campaign.name} (${formatDate(date)})`);
+  } catch (e) {
+    logError(e, 'menuDryRunMonthlyEmail');
+    ui.alert('模擬寄信失敗，請檢查日誌。');
+  }
+}
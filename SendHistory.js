@@ -0,0 +1,145 @@
+/**
+ * @fileoverview 寄信紀錄：將每次寄信 (正式信與預覽信) 寫入試算表中的「寄信紀錄」工作表，
+ * 並提供同月份正式信只寄一次的檢查與紀錄檢視介面。
+ */
+
+// =================================================================
+// SECTION: 紀錄儲存
+// =================================================================
+
+const SEND_HISTORY_SHEET_NAME = '寄信紀錄';
+const SEND_HISTORY_HEADERS = ['時間', '年份', '月份', '類型', '觸發方式', '收件者', '主旨', '結果', '訊息'];
+
+function getSendHistorySheet() {
+  const spreadsheet = SpreadsheetApp.getActiveSpreadsheet();
+  let sheet = spreadsheet.getSheetByName(SEND_HISTORY_SHEET_NAME);
+  if (!sheet) {
+    sheet = spreadsheet.insertSheet(SEND_HISTORY_SHEET_NAME);
+    sheet.appendRow(SEND_HISTORY_HEADERS);
+    sheet.setFrozenRows(1);
+    sheet.getRange(1, 1, 1, SEND_HISTORY_HEADERS.length).setFontWeight('bold');
+  }
+  return sheet;
+}
+
+/**
+ * 寫入一筆寄信紀錄；寫入失敗只記錄到 log，不影響寄信流程。
+ * @param {{year: number, month: number, kind: string, isTriggered: boolean,
+ *     recipients: string, subject: string, success: boolean, message: string}} entry
+ */
+function recordSendHistory(entry) {
+  try {
+    getSendHistorySheet().appendRow([
+      new Date(),
+      entry.year,
+      entry.month,
+      entry.kind,
+      entry.isTriggered ? 'trigger' : 'manual',
+      entry.recipients || '',
+      entry.subject || '',
+      entry.success ? 'success' : 'error',
+      entry.message || ''
+    ]);
+  } catch (e) {
+    logError(e, 'recordSendHistory');
+  }
+}
+
+function readSendHistory() {
+  const sheet = getSendHistorySheet();
+  const lastRow = sheet.getLastRow();
+  if (lastRow < 2) return [];
+  return sheet.getRange(2, 1, lastRow - 1, SEND_HISTORY_HEADERS.length).getValues().map(row => ({
+    timestamp: row[0],
+    year: Number(row[1]),
+    month: Number(row[2]),
+    kind: row[3],
+    source: row[4],
+    recipients: row[5],
+    subject: row[6],
+    status: row[7],
+    message: row[8]
+  }));
+}
+
+// =================================================================
+// SECTION: 重複寄信檢查
+// =================================================================
+
+// 同月份、同種類中最近一筆 status ('success' 或 'error') 的紀錄
+function findLatestSend(entries, year, month, kind, status) {
+  for (let i = entries.length - 1; i >= 0; i--) {
+    const entry = entries[i];
+    if (entry.year === year && entry.month === month && entry.kind === kind && entry.status === status) {
+      return entry;
+    }
+  }
+  return null;
+}
+
+function findSuccessfulSend(entries, year, month, kind) {
+  return findLatestSend(entries, year, month, kind, 'success');
+}
+
+function hasSuccessfulSend(year, month, kind) {
+  return !!findSuccessfulSend(readSendHistory(), year, month, kind);
+}
+
+// =================================================================
+// SECTION: 紀錄檢視
+// =================================================================
+
+function showSendHistoryDialog() {
+  try {
+    const html = HtmlService.createHtmlOutputFromFile('SendHistoryUI')
+        .setWidth(900)
+        .setHeight(600);
+    SpreadsheetApp.getUi().showModalDialog(html, '寄信紀錄');
+  } catch (e) {
+    logError(e, 'showSendHistoryDialog');
+    SpreadsheetApp.getUi().alert('無法開啟寄信紀錄，請檢查日誌。');
+  }
+}
+
+// kind 中的通知活動 (見 qualifyCampaignKind) 另外以 campaign 回傳活動名稱，預設活動為空字串
+function getSendHistory(limit) {
+  try {
+    const campaigns = getCampaigns(scriptProperties.getProperties());
+    const entries = readSendHistory().reverse().slice(0, limit || 100);
+    return entries.map(entry => {
+      const parsed = parseCampaignKind(entry.kind);
+      const campaign = campaigns.filter(item => item.id === parsed.campaignId)[0];
+      return Object.assign({}, entry, {
+        timestamp: entry.timestamp instanceof Date ? formatDateTime(entry.timestamp) : String(entry.timestamp),
+        kind: parsed.kind,
+        campaign: parsed.campaignId === DEFAULT_CAMPAIGN_ID ? '' : (campaign ? campaign.name : parsed.campaignId)
+      });
+    });
+  } catch (e) {
+    logError(e, 'getSendHistory');
+    return null;
+  }
+}
+
+function forceResendMonthlyEmail() {
+  const ui = SpreadsheetApp.getUi();
+  const campaign = promptCampaign(ui, '強制重新寄送');
+  if (!campaign) return;
+  const response = ui.alert(
+      '強制重新寄送',
+      `本功能會略過「同月份只寄一次」的檢查，在今天為發信日時再次寄出「${campaign.name}」的正式信給所有收件者。確定要繼續嗎？`,
+      ui.ButtonSet.YES_NO);
+  if (response !== ui.Button.YES) return;
+  const result = sendMonthlyEmail(null, { force: true }, createSendEnvironment({ campaignId: campaign.id }));
+  let message = `${campaign.name}：${result.message}`;
+  // 寄送失敗時一併顯示寄信紀錄中的錯誤原因
+  if (result.status === 'failed') {
+    try {
+      const failure = findLatestSend(readSendHistory(), result.year, result.month, qualifyCampaignKind(campaign.id, 'official'), 'error');
+      if (failure && failure.message) message += `\n\n${failure.message}`;
+    } catch (e) {
+      logError(e, 'forceResendMonthlyEmail');
+    }
+  }
+  ui.alert('強制重新寄送', message, ui.ButtonSet.OK);
+}
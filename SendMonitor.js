@@ -0,0 +1,273 @@
+/**
+ * @fileoverview 寄信監控：寄信失敗時通知管理員 (警示信與開啟試算表時的提示)，排程執行失敗時於當天稍後自動重試，
+ * 並在寄信前檢查 MailApp 每日配額；收件者超過配額或單封信件上限時分批寄出，未寄出的部分於下次排程執行時補寄。
+ */
+
+// =================================================================
+// SECTION: 執行狀態
+// =================================================================
+
+// 程式自動維護的執行狀態 (不列入設定版本)
+const SEND_STATE_KEYS = { alerts: 'alertStatus', retry: 'sendRetryState', pending: 'pendingSends', approval: 'approvalState' };
+const MAX_ALERT_ENTRIES = 10;
+const ALERT_MESSAGE_MAX_LENGTH = 300;
+
+const SEND_RETRY_STATUSES = ['failed', 'error', 'locked'];
+const MAX_SEND_RETRIES = 3;
+const SEND_RETRY_DELAY_MINUTES = 60;
+// 需要通知管理員的正式信執行結果 (見 sendMonthlyEmail 的回傳值)
+// (配額不足延後寄送時由 _coreSendEmail 直接通知)
+const ALERT_SEND_STATUSES = ['failed', 'error', 'locked', 'noSendDate', 'noTemplate', 'noRecipients', 'awaitingApproval'];
+
+// MailApp 單封信件的收件者上限
+const MAX_RECIPIENTS_PER_MESSAGE = 50;
+// 以寄件別名寄出時改用 GmailApp，GmailApp 沒有查詢剩餘配額的 API，且 Gmail 的寄信上限與 MailApp 的配額分開計算；
+// 因此以 MailApp 的剩餘配額為準，並保守限制每次執行最多寄給的收件者數，其餘存入待寄清單於下次排程補寄
+const ALIAS_SEND_QUOTA_CAP = 100;
+
+function readSendState(key) {
+  const json = scriptProperties.getProperty(key);
+  if (!json) return null;
+  try {
+    return JSON.parse(json);
+  } catch (e) {
+    logError(e, 'readSendState');
+    return null;
+  }
+}
+
+function writeSendState(key, value) {
+  if (value === null || value === undefined) {
+    scriptProperties.deleteProperty(key);
+  } else {
+    scriptProperties.setProperty(key, JSON.stringify(value));
+  }
+}
+
+function isSendStateKey(key) {
+  return Object.keys(SEND_STATE_KEYS).some(name => SEND_STATE_KEYS[name] === key);
+}
+
+// =================================================================
+// SECTION: 管理員通知
+// =================================================================
+
+// 設定中的管理員 Email；未設定時通知執行排程的帳號
+function getAdminEmails(settings) {
+  const emails = parseEmailList(settings.adminEmail).filter(isValidEmail);
+  return emails.length ? emails : [Session.getEffectiveUser().getEmail()];
+}
+
+/**
+ * 寄出警示信並記錄在 alertStatus，開啟試算表時顯示提示，直到寄信成功或手動清除。
+ * key 相同的警示尚未清除時不重複通知 (例如整月沒有寄信日時，每天的排程只通知一次)。
+ * @return {boolean} 是否發出通知。
+ */
+function notifyAdmin(subject, message, key) {
+  const alerts = readSendState(SEND_STATE_KEYS.alerts) || [];
+  if (key && alerts.some(alert => alert.key === key)) return false;
+  alerts.push({
+    key: key || '',
+    subject: subject,
+    message: String(message).substring(0, ALERT_MESSAGE_MAX_LENGTH),
+    time: new Date().toISOString()
+  });
+  writeSendState(SEND_STATE_KEYS.alerts, alerts.slice(-MAX_ALERT_ENTRIES));
+  sendAlertEmail(subject, message);
+  return true;
+}
+
+// 清除 key 以 prefix 開頭的警示 (例如該月正式信已寄出)
+function resolveAdminAlerts(prefix) {
+  const alerts = readSendState(SEND_STATE_KEYS.alerts) || [];
+  const remaining = alerts.filter(alert => alert.key.indexOf(prefix) !== 0);
+  if (remaining.length !== alerts.length) {
+    writeSendState(SEND_STATE_KEYS.alerts, remaining.length ? remaining : null);
+  }
+}
+
+// onOpen 時以提示訊息顯示尚未處理的警示
+function showAlertBanner() {
+  try {
+    const alerts = readSendState(SEND_STATE_KEYS.alerts) || [];
+    if (!alerts.length) return;
+    const latest = alerts[alerts.length - 1];
+    const more = alerts.length > 1 ? ` (共 ${alerts.length} 則)` : '';
+    SpreadsheetApp.getActiveSpreadsheet().toast(
+        `${latest.subject}${more}。詳情請見「郵件自動化工具 > 系統警示」。`, '⚠ 郵件自動化工具', 30);
+  } catch (e) {
+    logError(e, 'showAlertBanner');
+  }
+}
+
+function menuShowAlerts() {
+  const ui = SpreadsheetApp.getUi();
+  const alerts = readSendState(SEND_STATE_KEYS.alerts) || [];
+  if (!alerts.length) {
+    ui.alert('目前沒有系統警示。');
+    return;
+  }
+  const text = alerts.slice().reverse()
+      .map(alert => `${formatDateTime(new Date(alert.time))} ${alert.subject}\n${alert.message}`).join('\n\n');
+  const response = ui.alert('系統警示', `${text}\n\n問題處理完成後，是否清除以上警示？`, ui.ButtonSet.YES_NO);
+  if (response === ui.Button.YES) writeSendState(SEND_STATE_KEYS.alerts, null);
+}
+
+// =================================================================
+// SECTION: 重試
+// =================================================================
+
+/**
+ * 決定排程執行失敗後是否在當天稍後重試。state 為 {date, attempts}，記錄當天已重試的次數。
+ * @return {?{retry: boolean, attempts: number, at: (Date|undefined)}} 不需重試的結果回傳 null。
+ */
+function planSendRetry(status, state, now) {
+  if (SEND_RETRY_STATUSES.indexOf(status) === -1) return null;
+  const attempts = state && state.date === formatDate(now) ? state.attempts : 0;
+  const next = new Date(now.getTime() + SEND_RETRY_DELAY_MINUTES * 60 * 1000);
+  if (attempts >= MAX_SEND_RETRIES || next.getDate() !== now.getDate()) {
+    return { retry: false, attempts: attempts };
+  }
+  return { retry: true, attempts: attempts + 1, at: next };
+}
+
+/**
+ * 依正式信的執行結果通知管理員並安排重試；寄出成功時清除該月的警示與重試狀態。
+ * 重試中的失敗只在第一次通知，最後一次失敗再通知一次。
+ */
+function handleMonthlySendResult(result, isTriggered, env) {
+  const key = `official:${result.year}/${result.month}`;
+  if (result.status === 'sent') {
+    env.writeState(SEND_STATE_KEYS.retry, null);
+    env.resolveAlerts(key);
+    return;
+  }
+  if (ALERT_SEND_STATUSES.indexOf(result.status) === -1) return;
+
+  let note = '';
+  let notify = true;
+  const plan = isTriggered ? planSendRetry(result.status, env.readState(SEND_STATE_KEYS.retry), env.now()) : null;
+  if (plan) {
+    env.writeState(SEND_STATE_KEYS.retry, { date: formatDate(env.now()), attempts: plan.attempts });
+    if (plan.retry) {
+      env.scheduleRetry(SEND_RETRY_DELAY_MINUTES);
+      note = `\n\n系統將於 ${formatDateTime(plan.at)} 左右自動重試 (第 ${plan.attempts}/${MAX_SEND_RETRIES} 次)。`;
+      notify = plan.attempts === 1;
+    } else {
+      note = `\n\n今天已自動重試 ${plan.attempts} 次仍未成功，請確認問題後手動執行「執行正式寄信」。`;
+    }
+  }
+  if (notify) {
+    env.sendAlert(`【郵件自動化工具】${result.year}/${result.month} 正式信未正常寄出`,
+        result.message + note, `${key}:${result.status}:${plan ? plan.attempts : ''}`);
+  }
+}
+
+// 重試用的一次性觸發器：先移除自己再重新執行各通知活動的正式信流程 (已寄出的活動不會重複寄送)
+function retryMonthlyEmail(e) {
+  deleteTriggerByUid(e && e.triggerUid);
+  sendDueCampaigns(e);
+}
+
+// =================================================================
+// SECTION: 配額與分批 (純函式，方便測試)
+// =================================================================
+
+// from 為寄件別名 (經由 GmailApp 寄出) 時套用 ALIAS_SEND_QUOTA_CAP
+function capSendQuota(mailAppQuota, from) {
+  return from ? Math.min(mailAppQuota, ALIAS_SEND_QUOTA_CAP) : mailAppQuota;
+}
+
+/**
+ * 依單封信件的收件者上限拆成多封，依 To、CC、BCC 的順序分配。
+ * 保留一位給只有 CC/BCC 時填入 To 的寄件人。
+ */
+function splitRecipientBatches(recipients, maxPerMessage) {
+  const size = (maxPerMessage || MAX_RECIPIENTS_PER_MESSAGE) - 1;
+  const all = [].concat(
+      recipients.to.map(email => ({ email: email, role: 'to' })),
+      recipients.cc.map(email => ({ email: email, role: 'cc' })),
+      recipients.bcc.map(email => ({ email: email, role: 'bcc' })));
+  const batches = [];
+  for (let i = 0; i < all.length; i += size) {
+    const batch = { to: [], cc: [], bcc: [] };
+    all.slice(i, i + size).forEach(item => batch[item.role].push(item.email));
+    batches.push(batch);
+  }
+  return batches;
+}
+
+function _batchCost(batch) {
+  return countRecipients(batch) + (batch.to.length ? 0 : 1);
+}
+
+// 依剩餘配額決定本次寄出的批次 (now) 與延後寄出的批次 (later)
+function planQuotaBatches(batches, quota) {
+  let used = 0;
+  let i = 0;
+  while (i < batches.length && used + _batchCost(batches[i]) <= quota) {
+    used += _batchCost(batches[i]);
+    i++;
+  }
+  return { now: batches.slice(0, i), later: batches.slice(i) };
+}
+
+function mergeRecipientBatches(batches) {
+  return batches.reduce((merged, batch) => ({
+    to: merged.to.concat(batch.to),
+    cc: merged.cc.concat(batch.cc),
+    bcc: merged.bcc.concat(batch.bcc)
+  }), { to: [], cc: [], bcc: [] });
+}
+
+// =================================================================
+// SECTION: 待寄信件
+// =================================================================
+
+// 配額不足而延後的收件者，連同寄信種類與範本選項一起保存，下次排程執行時補寄
+// 儲存失敗 (例如超過單一屬性 9KB 的上限) 時回傳 false，由呼叫端請管理員手動補寄
+function addPendingSend(env, entry) {
+  try {
+    const pending = env.readState(SEND_STATE_KEYS.pending) || [];
+    pending.push(entry);
+    env.writeState(SEND_STATE_KEYS.pending, pending);
+    return true;
+  } catch (e) {
+    logError(e, 'addPendingSend');
+    return false;
+  }
+}
+
+function hasPendingSend(env, year, month, kind) {
+  return (env.readState(SEND_STATE_KEYS.pending) || [])
+      .some(entry => entry.year === year && entry.month === month && entry.kind === kind);
+}
+
+// 逐一補寄，寄出 (或部分寄出) 後才從待寄清單移除；仍超過配額的部分會由 _coreSendEmail 重新加入
+// 補寄失敗時保留在清單中，下次排程執行時再試，並通知管理員
+function resumePendingSends(env) {
+  const pending = env.readState(SEND_STATE_KEYS.pending) || [];
+  pending.forEach(entry => {
+    const label = `${entry.year}/${entry.month} 的 ${entry.kind}`;
+    console.log(`補寄 ${label} 給 ${countRecipients(entry.recipients)} 位收件者`);
+    const status = _coreSendEmail(entry.recipients, true, entry.year, entry.month, entry.kind, entry.options, env);
+    const alertKey = `pendingFailed:${entry.kind}:${entry.year}/${entry.month}`;
+    if (status === 'failed') {
+      env.sendAlert(`【郵件自動化工具】${entry.year}/${entry.month} 信件補寄失敗`,
+          `${label} 補寄給 ${countRecipients(entry.recipients)} 位收件者時失敗，將於下次排程執行時再試。` +
+          `收件者：${describeRecipients(entry.recipients)}。詳情請見寄信紀錄。`, alertKey);
+      return;
+    }
+    _removePendingSend(env, entry);
+    env.resolveAlerts(alertKey);
+  });
+}
+
+// 移除清單中與 entry 相同的第一筆 (補寄時新加入的延後收件者不受影響)
+function _removePendingSend(env, entry) {
+  const pending = env.readState(SEND_STATE_KEYS.pending) || [];
+  const serialized = JSON.stringify(entry);
+  const index = pending.findIndex(item => JSON.stringify(item) === serialized);
+  if (index !== -1) pending.splice(index, 1);
+  env.writeState(SEND_STATE_KEYS.pending, pending.length ? pending : null);
+}
@@ -0,0 +1,95 @@
+/**
+ * @fileoverview 寄件別名：設定介面列出寄信帳號在 Gmail「以這個地址寄送郵件」中的別名 (例如共用的 accounting@)，
+ * 選定後正式信、追蹤提醒信與預覽信改由 GmailApp 以該別名寄出，並使用該別名的簽名檔。
+ * 排程以安裝觸發器的帳號執行，別名必須屬於該帳號；每次寄信前都會確認別名仍存在且已通過驗證。
+ */
+
+// =================================================================
+// SECTION: 別名資料 (純函式，方便測試)
+// =================================================================
+
+/**
+ * 將 Gmail API 的 SendAs 資源轉為設定介面與寄信流程使用的格式；主要地址不需驗證。
+ * @return {{email: string, displayName: string, signature: string, isPrimary: boolean, isDefault: boolean,
+ *     verified: boolean, status: string}}
+ */
+function normalizeSendAs(sendAs) {
+  const isPrimary = !!sendAs.isPrimary;
+  return {
+    email: String(sendAs.sendAsEmail || ''),
+    displayName: String(sendAs.displayName || ''),
+    signature: String(sendAs.signature || ''),
+    isPrimary: isPrimary,
+    isDefault: !!sendAs.isDefault,
+    verified: isPrimary || sendAs.verificationStatus === 'accepted',
+    status: isPrimary ? 'accepted' : String(sendAs.verificationStatus || '')
+  };
+}
+
+// 別名無法使用時回傳原因，可以使用時回傳空字串
+function checkSendAsAlias(alias, email) {
+  if (!alias) return `寄件別名 ${email} 不在寄信帳號的「以這個地址寄送郵件」清單中，請重新選擇寄件別名。`;
+  if (!alias.verified) return `寄件別名 ${email} 尚未通過 Gmail 驗證 (狀態：${alias.status || '未知'})，請完成驗證或重新選擇寄件別名。`;
+  return '';
+}
+
+// =================================================================
+// SECTION: Gmail API
+// =================================================================
+
+function listSendAsAliases() {
+  const response = Gmail.Users.Settings.SendAs.list('me');
+  return ((response && response.sendAs) || []).map(normalizeSendAs);
+}
+
+// 找不到別名 (或無法讀取) 時回傳 null
+function lookupSendAs(email) {
+  try {
+    return normalizeSendAs(Gmail.Users.Settings.SendAs.get('me', email));
+  } catch (e) {
+    logError(e, 'lookupSendAs');
+    return null;
+  }
+}
+
+/**
+ * 依設定決定寄件地址與簽名檔。未設定別名時沿用執行帳號的主要地址與簽名檔；
+ * 別名無法使用時拋出 Error，不改用其他地址寄出。
+ * @return {{from: string, signature: string, name: (string|undefined)}} from 為空字串表示使用執行帳號的主要地址；
+ *     name 為別名的顯示名稱，設定中的寄件人顯示名稱留空時使用。
+ */
+function resolveSender(settings, env) {
+  const email = String(settings.senderAlias || '').trim();
+  if (!email) return { from: '', signature: env.getSignature() };
+  const alias = env.getSendAs(email);
+  const problem = checkSendAsAlias(alias, email);
+  if (problem) throw new Error(problem);
+  return { from: alias.email, signature: alias.signature, name: alias.displayName || undefined };
+}
+
+// 儲存設定前確認選擇的別名可以使用
+function collectSenderAliasErrors(settings) {
+  const email = String(settings.senderAlias || '').trim();
+  if (!email) return [];
+  const problem = checkSendAsAlias(lookupSendAs(email), email);
+  return problem ? [{ field: 'senderAlias', message: problem }] : [];
+}
+
+// =================================================================
+// SECTION: 設定介面
+// =================================================================
+
+// 供設定介面的寄件別名選單使用 (不含簽名檔內容)；無法讀取時回傳 {aliases: [], error}
+function getSendAsAliases() {
+  try {
+    return {
+      aliases: listSendAsAliases().map(alias => ({
+        email: alias.email, displayName: alias.displayName, isPrimary: alias.isPrimary, verified: alias.verified, status: alias.status
+      })),
+      error: ''
+    };
+  } catch (e) {
+    logError(e, 'getSendAsAliases');
+    return { aliases: [], error: '無法讀取 Gmail 寄件別名，請確認已啟用 Gmail 進階服務。' };
+  }
+}
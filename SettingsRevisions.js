@@ -0,0 +1,272 @@
+/**
+ * @fileoverview 設定版本紀錄：每次儲存設定時將設定內容連同時間與編輯者寫入隱藏的「設定版本」工作表，
+ * 設定介面可將任一版本與目前設定逐行比較 (主旨與內文左右對照)，並一鍵還原。
+ */
+
+// =================================================================
+// SECTION: 版本儲存
+// =================================================================
+
+const SETTINGS_REVISION_SHEET_NAME = '設定版本';
+const SETTINGS_REVISION_HEADERS = ['版本', '時間', '編輯者', '說明', '設定內容'];
+const MAX_SETTINGS_REVISIONS = 100;
+// 單一儲存格上限為 50000 字元，設定內容過長時分散到後面的欄位
+const SETTINGS_REVISION_CHUNK_SIZE = 40000;
+// 程式自動維護的屬性 (假日快取、排程時間、寄信監控狀態) 不列入版本，還原時也不會變動
+const SETTINGS_REVISION_EXCLUDED_KEYS = [
+  'holidayCache', 'holidayCacheUpdated', 'holidayCacheSkipped', 'holidayFallbackCache', 'holidayFallbackSource', 'holidayFallbackUpdated'
+];
+
+function isRevisionedSettingKey(key) {
+  if (SETTINGS_REVISION_EXCLUDED_KEYS.indexOf(key) !== -1 || isSendStateKey(stripCampaignPrefix(key))) return false;
+  return !Object.keys(MANAGED_TRIGGERS).some(name => MANAGED_TRIGGERS[name].hourKey === key);
+}
+
+// 取出列入版本的設定，依名稱排序以便比較內容是否相同
+function pickRevisionedSettings(properties) {
+  const snapshot = {};
+  Object.keys(properties).sort().forEach(key => {
+    if (isRevisionedSettingKey(key)) snapshot[key] = String(properties[key]);
+  });
+  return snapshot;
+}
+
+function getSettingsRevisionSheet() {
+  const spreadsheet = SpreadsheetApp.getActiveSpreadsheet();
+  let sheet = spreadsheet.getSheetByName(SETTINGS_REVISION_SHEET_NAME);
+  if (!sheet) {
+    sheet = spreadsheet.insertSheet(SETTINGS_REVISION_SHEET_NAME);
+    sheet.appendRow(SETTINGS_REVISION_HEADERS);
+    sheet.setFrozenRows(1);
+    sheet.getRange(1, 1, 1, SETTINGS_REVISION_HEADERS.length).setFontWeight('bold');
+    sheet.hideSheet();
+  }
+  return sheet;
+}
+
+function readSettingsRevisions() {
+  const sheet = getSettingsRevisionSheet();
+  const lastRow = sheet.getLastRow();
+  if (lastRow < 2) return [];
+  return sheet.getRange(2, 1, lastRow - 1, sheet.getLastColumn()).getValues().map(row => ({
+    id: String(row[0]),
+    timestamp: row[1],
+    editor: row[2],
+    note: row[3],
+    json: row.slice(4).join('')
+  }));
+}
+
+function findSettingsRevision(id) {
+  const revision = readSettingsRevisions().filter(item => item.id === String(id))[0];
+  return revision ? Object.assign(revision, { settings: JSON.parse(revision.json) }) : null;
+}
+
+/**
+ * 將目前的設定存成新版本；內容與最新版本相同時不重複記錄。
+ * 寫入失敗只記錄到 log，不影響儲存設定。
+ * @return {boolean} 是否新增了版本。
+ */
+function recordSettingsRevision(note) {
+  try {
+    const json = JSON.stringify(pickRevisionedSettings(scriptProperties.getProperties()));
+    const revisions = readSettingsRevisions();
+    if (revisions.length && revisions[revisions.length - 1].json === json) return false;
+
+    const chunks = [];
+    for (let i = 0; i < json.length; i += SETTINGS_REVISION_CHUNK_SIZE) {
+      chunks.push(json.substring(i, i + SETTINGS_REVISION_CHUNK_SIZE));
+    }
+    const sheet = getSettingsRevisionSheet();
+    sheet.appendRow([
+      Utilities.getUuid().substring(0, 8),
+      new Date(),
+      Session.getActiveUser().getEmail() || '(未知)',
+      note || ''
+    ].concat(chunks));
+
+    const excess = sheet.getLastRow() - 1 - MAX_SETTINGS_REVISIONS;
+    if (excess > 0) sheet.deleteRows(2, excess);
+    return true;
+  } catch (e) {
+    logError(e, 'recordSettingsRevision');
+    return false;
+  }
+}
+
+// 以 settings 取代所有列入版本的設定 (還原與匯入用)：settings 中沒有的設定會刪除
+function replaceRevisionedSettings(settings) {
+  Object.keys(pickRevisionedSettings(scriptProperties.getProperties())).forEach(key => {
+    if (!settings.hasOwnProperty(key)) scriptProperties.deleteProperty(key);
+  });
+  scriptProperties.setProperties(settings);
+}
+
+// 第一次儲存前先記下原本的設定，讓第一次修改也能還原
+function ensureInitialSettingsRevision() {
+  try {
+    if (readSettingsRevisions().length) return;
+    if (!Object.keys(pickRevisionedSettings(scriptProperties.getProperties())).length) return;
+    recordSettingsRevision('開始記錄版本前的設定');
+  } catch (e) {
+    logError(e, 'ensureInitialSettingsRevision');
+  }
+}
+
+// =================================================================
+// SECTION: 差異比較 (純函式，方便測試)
+// =================================================================
+
+/**
+ * 以最長共同子序列逐行比較。
+ * @return {Array<{type: string, text: string}>} type 為 'same'、'remove' (只在舊版) 或 'add' (只在新版)。
+ */
+function diffLines(oldText, newText) {
+  const a = String(oldText || '').split('\n');
+  const b = String(newText || '').split('\n');
+  const lengths = [];
+  for (let i = a.length; i >= 0; i--) {
+    lengths[i] = [];
+    for (let j = b.length; j >= 0; j--) {
+      if (i === a.length || j === b.length) lengths[i][j] = 0;
+      else if (a[i] === b[j]) lengths[i][j] = lengths[i + 1][j + 1] + 1;
+      else lengths[i][j] = Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+  const result = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length || j < b.length) {
+    if (i < a.length && j < b.length && a[i] === b[j]) {
+      result.push({ type: 'same', text: a[i] });
+      i++;
+      j++;
+    } else if (j < b.length && (i === a.length || lengths[i][j + 1] >= lengths[i + 1][j])) {
+      result.push({ type: 'add', text: b[j++] });
+    } else {
+      result.push({ type: 'remove', text: a[i++] });
+    }
+  }
+  return result;
+}
+
+/**
+ * 左右對照的比較結果：相鄰的刪除與新增配成同一列。
+ * @return {Array<{type: string, left: ?string, right: ?string}>} type 為 'same'、'changed'、'removed' 或 'added'。
+ */
+function buildSideBySideDiff(oldText, newText) {
+  const rows = [];
+  let removed = [];
+  let added = [];
+  const flush = () => {
+    for (let k = 0; k < Math.max(removed.length, added.length); k++) {
+      const left = k < removed.length ? removed[k] : null;
+      const right = k < added.length ? added[k] : null;
+      rows.push({ type: left === null ? 'added' : right === null ? 'removed' : 'changed', left: left, right: right });
+    }
+    removed = [];
+    added = [];
+  };
+  diffLines(oldText, newText).forEach(line => {
+    if (line.type === 'remove') removed.push(line.text);
+    else if (line.type === 'add') added.push(line.text);
+    else {
+      flush();
+      rows.push({ type: 'same', left: line.text, right: line.text });
+    }
+  });
+  flush();
+  return rows;
+}
+
+/**
+ * 比較兩份設定：依通知活動分別比較，範本依 id 對應並逐行比較主旨與內文，其他設定只列出有變動的項目。
+ * 有多個活動時，範本的 campaign 與活動專屬設定的名稱加上活動名稱；共用設定只列一次。
+ * @return {{templates: Array<Object>, otherChanges: Array<string>}}
+ */
+function compareSettingsSnapshots(before, after) {
+  const newCampaigns = getCampaigns(after);
+  const campaigns = newCampaigns.concat(getCampaigns(before).filter(old => !newCampaigns.some(campaign => campaign.id === old.id)));
+  const isTemplateKey = key => key === 'templateIds' || key.indexOf(TEMPLATE_KEY_PREFIX) === 0 || LEGACY_TEMPLATE_KEYS.indexOf(key) !== -1;
+  const describeKey = key => key === CAMPAIGN_LIST_KEY ? '通知活動' : SETTINGS_SCHEMA[key] ? SETTINGS_SCHEMA[key].label : key;
+  const templates = [];
+  const otherChanges = [];
+  campaigns.forEach(campaign => {
+    const oldView = getCampaignSettings(before, campaign.id);
+    const newView = getCampaignSettings(after, campaign.id);
+    const name = campaigns.length > 1 ? campaign.name : '';
+    _compareTemplates(oldView, newView).forEach(template => templates.push(Object.assign(template, { campaign: name })));
+    // 共用設定只在預設活動 (排在第一個) 比較
+    Object.keys(Object.assign({}, oldView, newView)).sort()
+        .filter(key => isRevisionedSettingKey(key) && !isTemplateKey(key) && (oldView[key] || '') !== (newView[key] || ''))
+        .filter(key => campaign.id === DEFAULT_CAMPAIGN_ID || isCampaignScopedKey(key))
+        .forEach(key => otherChanges.push((name && isCampaignScopedKey(key) ? `${name}：` : '') + describeKey(key)));
+  });
+  return { templates: templates, otherChanges: otherChanges };
+}
+
+function _compareTemplates(before, after) {
+  const oldTemplates = getTemplates(before);
+  const newTemplates = getTemplates(after);
+  const ids = newTemplates.map(t => t.id)
+      .concat(oldTemplates.map(t => t.id).filter(id => !newTemplates.some(t => t.id === id)));
+  return ids.map(id => {
+    const oldTemplate = oldTemplates.filter(t => t.id === id)[0];
+    const newTemplate = newTemplates.filter(t => t.id === id)[0];
+    const status = !oldTemplate ? 'added'
+        : !newTemplate ? 'removed'
+        : JSON.stringify(oldTemplate) === JSON.stringify(newTemplate) ? 'same' : 'changed';
+    return {
+      id: id,
+      name: (newTemplate || oldTemplate).name,
+      status: status,
+      subject: buildSideBySideDiff(oldTemplate ? oldTemplate.subject : '', newTemplate ? newTemplate.subject : ''),
+      body: buildSideBySideDiff(oldTemplate ? oldTemplate.body : '', newTemplate ? newTemplate.body : '')
+    };
+  });
+}
+
+// =================================================================
+// SECTION: 設定介面
+// =================================================================
+
+function getSettingsRevisions() {
+  try {
+    return readSettingsRevisions().reverse().map(revision => ({
+      id: revision.id,
+      timestamp: revision.timestamp instanceof Date ? formatDateTime(revision.timestamp) : String(revision.timestamp),
+      editor: revision.editor,
+      note: revision.note
+    }));
+  } catch (e) {
+    logError(e, 'getSettingsRevisions');
+    return null;
+  }
+}
+
+// 左邊為指定版本，右邊為目前設定
+function getSettingsRevisionDiff(id) {
+  try {
+    const revision = findSettingsRevision(id);
+    if (!revision) return { error: '找不到指定的版本。' };
+    return compareSettingsSnapshots(revision.settings, pickRevisionedSettings(scriptProperties.getProperties()));
+  } catch (e) {
+    logError(e, 'getSettingsRevisionDiff');
+    return { error: '比較失敗，請檢查日誌。' };
+  }
+}
+
+// 還原為指定版本：版本中沒有的設定 (例如之後新增的範本) 會一併刪除，還原後另存一個新版本
+function restoreSettingsRevision(id) {
+  try {
+    const revision = findSettingsRevision(id);
+    if (!revision) return { success: false, message: '找不到指定的版本。' };
+    replaceRevisionedSettings(revision.settings);
+    const label = revision.timestamp instanceof Date ? formatDateTime(revision.timestamp) : String(revision.timestamp);
+    recordSettingsRevision(`還原至 ${label} 的版本`);
+    return { success: true, message: `已還原至 ${label} 的版本。` };
+  } catch (e) {
+    logError(e, 'restoreSettingsRevision');
+    return { success: false, message: '還原失敗，請檢查日誌。' };
+  }
+}
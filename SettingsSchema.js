@@ -0,0 +1,245 @@
+/**
+ * @fileoverview 設定檢查與匯出匯入：儲存前依欄位規則檢查格式、Email、範本變數與指令碼屬性的大小限制，
+ * 錯誤附上欄位名稱以便設定介面標示在對應欄位旁；完整設定可匯出為 JSON 檔，匯入到其他公司別的試算表。
+ */
+
+// =================================================================
+// SECTION: 欄位規則
+// =================================================================
+
+// 指令碼屬性限制：單一值 9KB、全部合計 500KB
+const PROPERTY_VALUE_MAX_BYTES = 9 * 1024;
+const PROPERTIES_TOTAL_MAX_BYTES = 500 * 1024;
+
+const SETTINGS_SCHEMA = {
+  recipient: { label: '收件者 Email', type: 'string', maxLength: 5000 },
+  senderName: { label: '寄件人顯示名稱', type: 'string', maxLength: 100 },
+  senderAlias: { label: '寄件別名', type: 'email', maxLength: 320 },
+  adminEmail: { label: '管理員 Email', type: 'emailList', maxLength: 1000 },
+  approvalMode: { label: '寄出前核准', type: 'enum', values: ['off', 'email', 'draft'] },
+  approverEmail: { label: '核准人 Email', type: 'emailList', maxLength: 1000 },
+  approvalLeadDays: { label: '提前送核工作日數', type: 'integer', min: 1, max: 10 },
+  approvalFallback: { label: '未核准時的處理方式', type: 'enum', values: ['send', 'hold'] },
+  templateIds: { label: '信件範本清單', type: 'jsonList' },
+  followUps: { label: '追蹤提醒信', type: 'jsonList' },
+  customVariables: { label: '自訂變數', type: 'jsonList' },
+  styleMarkers: { label: '自訂格式標記', type: 'jsonList' },
+  holidayCacheTtlDays: { label: '假日快取有效天數', type: 'integer', min: 1, max: 90 }
+};
+
+function validateSettingField(rule, value) {
+  const text = value == null ? '' : String(value).trim();
+  if (!text) return [];
+  if (rule.maxLength && text.length > rule.maxLength) {
+    return [`${rule.label}不可超過 ${rule.maxLength} 個字`];
+  }
+  if (rule.type === 'integer' && (!/^\d+$/.test(text) || Number(text) < rule.min || Number(text) > rule.max)) {
+    return [`${rule.label}需為 ${rule.min} 到 ${rule.max} 的整數`];
+  }
+  if (rule.type === 'enum' && rule.values.indexOf(text) === -1) {
+    return [`${rule.label}的值無效`];
+  }
+  if (rule.type === 'email' && !isValidEmail(text)) {
+    return [`${rule.label}格式錯誤：${text}`];
+  }
+  if (rule.type === 'emailList') {
+    const invalid = parseEmailList(text).filter(email => !isValidEmail(email));
+    if (invalid.length) return [`${rule.label}格式錯誤：${invalid.join(', ')}`];
+  }
+  if (rule.type === 'jsonList') {
+    try {
+      if (!Array.isArray(JSON.parse(text))) return [`${rule.label}格式錯誤`];
+    } catch (e) {
+      return [`${rule.label}格式錯誤`];
+    }
+  }
+  return [];
+}
+
+function utf8ByteLength(text) {
+  let bytes = 0;
+  for (const ch of String(text)) {
+    const code = ch.codePointAt(0);
+    bytes += code < 0x80 ? 1 : code < 0x800 ? 2 : code < 0x10000 ? 3 : 4;
+  }
+  return bytes;
+}
+
+function _describeSettingKey(settings, key) {
+  if (key.indexOf(TEMPLATE_KEY_PREFIX) === 0) {
+    try {
+      return `範本「${JSON.parse(settings[key]).name || key}」`;
+    } catch (e) {
+      return key;
+    }
+  }
+  return SETTINGS_SCHEMA[key] ? SETTINGS_SCHEMA[key].label : key;
+}
+
+/**
+ * 檢查儲存後的指令碼屬性是否超過大小限制。
+ * existing 為目前的屬性；儲存後會被清除的範本 (不在新的 templateIds 中) 不列入合計。
+ * campaignId 為設定所屬的通知活動 (見 Campaigns.js)，未指定時為預設活動。
+ * @return {Array<{field: string, message: string}>}
+ */
+function collectPropertySizeErrors(settings, existing, campaignId) {
+  const errors = [];
+  Object.keys(settings).forEach(key => {
+    const bytes = utf8ByteLength(settings[key]);
+    if (bytes > PROPERTY_VALUE_MAX_BYTES) {
+      errors.push({
+        field: key,
+        message: `${_describeSettingKey(settings, key)}內容過長 (${Math.ceil(bytes / 1024)}KB，上限 ${PROPERTY_VALUE_MAX_BYTES / 1024}KB)`
+      });
+    }
+  });
+
+  const prefix = campaignKeyPrefix(campaignId);
+  const templatePrefix = prefix + TEMPLATE_KEY_PREFIX;
+  const keep = settings.templateIds ? _parseJsonList(settings.templateIds, 'collectPropertySizeErrors').map(id => templatePrefix + id) : null;
+  const merged = Object.assign({}, existing, toCampaignProperties(settings, campaignId));
+  const total = Object.keys(merged).reduce((sum, key) => {
+    const isLegacy = !prefix && LEGACY_TEMPLATE_KEYS.indexOf(key) !== -1;
+    const removed = keep && (isLegacy || (key.indexOf(templatePrefix) === 0 && keep.indexOf(key) === -1));
+    return removed ? sum : sum + utf8ByteLength(key) + utf8ByteLength(merged[key]);
+  }, 0);
+  if (total > PROPERTIES_TOTAL_MAX_BYTES) {
+    errors.push({
+      field: 'templates',
+      message: `設定總量 ${Math.ceil(total / 1024)}KB 超過指令碼屬性上限 ${PROPERTIES_TOTAL_MAX_BYTES / 1024}KB，請刪除不再使用的範本或縮短內容`
+    });
+  }
+  return errors;
+}
+
+/**
+ * 儲存或匯入前的完整檢查。
+ * @param {Object} settings 要儲存的設定。
+ * @param {Object} existing 目前的指令碼屬性 (計算大小限制用)。
+ * @param {string=} campaignId 設定所屬的通知活動，未指定時為預設活動。
+ * @return {Array<{field: string, message: string}>} field 為設定名稱 (例如 'recipient')、
+ *     'templates' (整個範本庫) 或 'template.<id>'；沒有錯誤時為空陣列。
+ */
+function validateSettings(settings, existing, campaignId) {
+  const errors = [];
+  const add = (field, messages) => messages.forEach(message => errors.push({ field: field, message: message }));
+
+  Object.keys(SETTINGS_SCHEMA).forEach(key => add(key, validateSettingField(SETTINGS_SCHEMA[key], settings[key])));
+  if (validateSettingField(SETTINGS_SCHEMA.templateIds, settings.templateIds).length === 0) {
+    _parseJsonList(settings.templateIds, 'validateSettings').forEach(id => {
+      const key = TEMPLATE_KEY_PREFIX + id;
+      try {
+        JSON.parse(settings[key]);
+      } catch (e) {
+        add(key, [`範本 ${id} 的內容遺失或格式錯誤`]);
+      }
+    });
+  }
+
+  add('recipient', validateRecipientSettings(settings));
+  errors.push.apply(errors, collectTemplateLibraryErrors(settings));
+  errors.push.apply(errors, collectTemplateSettingErrors(settings));
+  add('styleMarkers', validateStyleMarkers(settings));
+  errors.push.apply(errors, collectApprovalSettingErrors(settings));
+  errors.push.apply(errors, collectSenderAliasErrors(settings));
+  errors.push.apply(errors, collectPropertySizeErrors(settings, existing || {}, campaignId));
+  return errors;
+}
+
+// =================================================================
+// SECTION: 匯出與匯入
+// =================================================================
+
+const SETTINGS_EXPORT_FORMAT = 'acco-apply-pay-bill-settings';
+const SETTINGS_EXPORT_VERSION = 1;
+
+// 回傳 JSON 字串，由設定介面下載為檔案；失敗時回傳 null
+function exportSettings() {
+  try {
+    return JSON.stringify({
+      format: SETTINGS_EXPORT_FORMAT,
+      version: SETTINGS_EXPORT_VERSION,
+      exportedAt: new Date().toISOString(),
+      source: SpreadsheetApp.getActiveSpreadsheet().getName(),
+      settings: pickRevisionedSettings(scriptProperties.getProperties())
+    }, null, 2);
+  } catch (e) {
+    logError(e, 'exportSettings');
+    return null;
+  }
+}
+
+// 解析匯出檔，格式不符時拋出 Error；只取出列入版本的設定 (不含假日快取與排程時間)
+function parseSettingsExport(json) {
+  let data;
+  try {
+    data = JSON.parse(json);
+  } catch (e) {
+    throw new Error('檔案不是有效的 JSON');
+  }
+  if (!data || data.format !== SETTINGS_EXPORT_FORMAT || !data.settings || typeof data.settings !== 'object') {
+    throw new Error('檔案不是本工具匯出的設定檔');
+  }
+  if (data.version > SETTINGS_EXPORT_VERSION) {
+    throw new Error('設定檔版本較新，請先更新本工具');
+  }
+  return pickRevisionedSettings(data.settings);
+}
+
+/**
+ * 匯入前依通知活動逐一檢查 (各活動的設定存於 `c.<活動 id>.` 之下)。existing 為匯入後仍保留的程式自動維護屬性。
+ * 其他活動的錯誤訊息加上活動名稱；共用設定的錯誤只列一次。
+ * @return {Array<{field: string, message: string}>} field 為實際的指令碼屬性名稱。
+ */
+function validateImportedSettings(settings, existing) {
+  const campaigns = getCampaigns(settings);
+  const merged = Object.assign({}, existing, settings);
+  const seen = {};
+  const errors = [];
+  campaigns.forEach(campaign => {
+    validateSettings(getCampaignSettings(settings, campaign.id), merged, campaign.id).forEach(error => {
+      const scoped = isCampaignScopedKey(error.field);
+      const key = (scoped ? campaign.id : '') + '\n' + error.message;
+      if (seen[key]) return;
+      seen[key] = true;
+      errors.push(campaign.id === DEFAULT_CAMPAIGN_ID ? error : {
+        field: scoped ? campaignPropertyKey(campaign.id, error.field) : error.field,
+        message: `活動「${campaign.name}」：${error.message}`
+      });
+    });
+  });
+  return errors;
+}
+
+/**
+ * 以匯出檔取代目前所有設定；檢查未通過時不變動。匯入前後的設定都會保留在設定版本紀錄中。
+ * @return {{success: boolean, message: string, errors: (Array<Object>|undefined)}}
+ */
+function importSettings(json) {
+  try {
+    let settings;
+    try {
+      settings = parseSettingsExport(json);
+    } catch (e) {
+      return { success: false, message: '匯入失敗：' + e.message };
+    }
+    // 匯入會取代所有設定，大小限制只需加上程式自動維護的屬性
+    const current = scriptProperties.getProperties();
+    const runtime = {};
+    Object.keys(current).forEach(key => {
+      if (!isRevisionedSettingKey(key)) runtime[key] = current[key];
+    });
+    const errors = validateImportedSettings(settings, runtime);
+    if (errors.length) {
+      return { success: false, message: '匯入失敗：' + errors.map(error => error.message).join('；'), errors: errors };
+    }
+    ensureInitialSettingsRevision();
+    replaceRevisionedSettings(settings);
+    getCampaigns(settings).forEach(campaign => cleanupTemplateProperties(getCampaignSettings(settings, campaign.id), campaign.id));
+    recordSettingsRevision('匯入設定');
+    return { success: true, message: '設定已匯入！' };
+  } catch (e) {
+    logError(e, 'importSettings');
+    return { success: false, message: '匯入失敗，請檢查日誌。' };
+  }
+}
@@ -0,0 +1,255 @@
+/**
+ * @fileoverview 繳交追蹤：依當月正式信的收件者產生「繳交追蹤」工作表，由會計處逐人或整個部門標記已繳交；
+ * 追蹤面板顯示距截止日的天數與各部門未繳交人數，並可只寄提醒給尚未繳交的同仁
+ * (使用追蹤提醒信的範本，每人一封，沿用 _coreSendEmail / markdownToHtml 的寄信流程)。
+ * 每個通知活動有自己的追蹤工作表，收件者、截止日與提醒範本皆取自該活動的設定。
+ */
+
+// =================================================================
+// SECTION: 追蹤工作表
+// =================================================================
+
+const SUBMISSION_SHEET_NAME = '繳交追蹤';
+const SUBMISSION_HEADERS = ['年份', '月份', 'Email', '姓名', '部門', '公司別', '已繳交', '繳交時間', '最後提醒', '備註'];
+const SUBMISSION_COLUMNS = { submitted: 7, submittedAt: 8, remindedAt: 9 };
+const SUBMISSION_REMINDER_KIND = 'reminder';
+
+// 預設活動沿用原本的工作表名稱，其他活動加上活動代碼 (活動名稱可能變更)
+function getSubmissionSheetName(campaignId) {
+  return !campaignId || campaignId === DEFAULT_CAMPAIGN_ID ? SUBMISSION_SHEET_NAME : `${SUBMISSION_SHEET_NAME} (${campaignId})`;
+}
+
+function getSubmissionSheet(campaignId) {
+  const spreadsheet = SpreadsheetApp.getActiveSpreadsheet();
+  const name = getSubmissionSheetName(campaignId);
+  let sheet = spreadsheet.getSheetByName(name);
+  if (!sheet) {
+    sheet = spreadsheet.insertSheet(name);
+    sheet.appendRow(SUBMISSION_HEADERS);
+    sheet.setFrozenRows(1);
+    sheet.getRange(1, 1, 1, SUBMISSION_HEADERS.length).setFontWeight('bold');
+  }
+  return sheet;
+}
+
+function readSubmissionRows(campaignId) {
+  const sheet = getSubmissionSheet(campaignId);
+  if (sheet.getLastRow() < 2) return [];
+  return sheet.getRange(2, 1, sheet.getLastRow() - 1, SUBMISSION_HEADERS.length).getValues().map((row, i) => ({
+    row: i + 2,
+    year: Number(row[0]),
+    month: Number(row[1]),
+    email: String(row[2]).trim(),
+    name: String(row[3]).trim(),
+    department: String(row[4]).trim(),
+    company: String(row[5]).trim(),
+    submitted: row[6] === true || String(row[6]).toUpperCase() === 'TRUE',
+    submittedAt: row[7],
+    remindedAt: row[8],
+    note: String(row[9])
+  })).filter(row => row.email);
+}
+
+function readMonthSubmissions(year, month, campaignId) {
+  return readSubmissionRows(campaignId).filter(row => row.year === year && row.month === month);
+}
+
+// =================================================================
+// SECTION: 名單與統計 (純函式，方便測試)
+// =================================================================
+
+/**
+ * 由當月的收件者產生追蹤名單，姓名、部門與公司別取自收件者名單。
+ * CC 多為主管或知會對象，不列入追蹤。
+ * @param {{to: Array<string>, bcc: Array<string>}} recipients resolveRecipients 的結果。
+ * @param {Array<Object>} directory readRecipientDirectory 的結果。
+ * @return {Array<{email: string, name: string, department: string, company: string}>}
+ */
+function buildSubmissionEntries(recipients, directory) {
+  const seen = {};
+  return recipients.to.concat(recipients.bcc).filter(email => {
+    const key = email.toLowerCase();
+    if (seen[key]) return false;
+    seen[key] = true;
+    return true;
+  }).map(email => {
+    const entry = directory.filter(item => item.email.toLowerCase() === email.toLowerCase())[0] || {};
+    return { email: email, name: entry.name || '', department: entry.department || '', company: entry.company || '' };
+  });
+}
+
+// 只回傳尚未在追蹤表中的對象，已有的列 (含已標記的繳交狀態) 保持不變
+function findNewSubmissionEntries(existingRows, entries) {
+  const existing = existingRows.map(row => row.email.toLowerCase());
+  return entries.filter(entry => existing.indexOf(entry.email.toLowerCase()) === -1);
+}
+
+// 今天之後到截止日 (含) 的工作日數，與追蹤提醒信的 daysLeft 相同；已過截止日時為負數的日曆天數
+function countWorkingDaysLeft(today, deadline, holidays, workdays) {
+  const start = new Date(today.getFullYear(), today.getMonth(), today.getDate());
+  if (deadline < start) return -Math.round((start - deadline) / (24 * 60 * 60 * 1000));
+  let count = 0;
+  const cursor = new Date(start.getTime());
+  while (cursor < deadline) {
+    cursor.setDate(cursor.getDate() + 1);
+    if (isWorkingDay(cursor, holidays, workdays)) count++;
+  }
+  return count;
+}
+
+/**
+ * 統計當月繳交狀況，部門依未繳交人數由多到少排列。
+ * @return {{total: number, submitted: number, outstanding: number,
+ *     departments: Array<{department: string, total: number, submitted: number, outstanding: number}>}}
+ */
+function summarizeSubmissions(rows) {
+  const departments = {};
+  rows.forEach(row => {
+    const name = row.department || '(未分部門)';
+    const item = departments[name] = departments[name] || { department: name, total: 0, submitted: 0, outstanding: 0 };
+    item.total++;
+    item[row.submitted ? 'submitted' : 'outstanding']++;
+  });
+  const submitted = rows.filter(row => row.submitted).length;
+  return {
+    total: rows.length,
+    submitted: submitted,
+    outstanding: rows.length - submitted,
+    departments: Object.keys(departments).map(name => departments[name])
+        .sort((a, b) => b.outstanding - a.outstanding || a.department.localeCompare(b.department))
+  };
+}
+
+// =================================================================
+// SECTION: 追蹤面板
+// =================================================================
+
+function showSubmissionDashboard() {
+  try {
+    const html = HtmlService.createHtmlOutputFromFile('SubmissionUI')
+        .setWidth(900)
+        .setHeight(650);
+    SpreadsheetApp.getUi().showModalDialog(html, '繳交追蹤');
+  } catch (e) {
+    logError(e, 'showSubmissionDashboard');
+    SpreadsheetApp.getUi().alert('無法開啟繳交追蹤，請檢查日誌。');
+  }
+}
+
+// 未指定年月時為本月，未指定活動時為預設活動；日期轉為文字後回傳 (google.script.run 無法傳回 Date)
+function getSubmissionDashboard(year, month, campaignId) {
+  try {
+    const env = createSendEnvironment({ campaignId: campaignId });
+    const now = env.now();
+    year = year || now.getFullYear();
+    month = month || now.getMonth() + 1;
+    const settings = env.getSettings();
+    const holidayData = env.getHolidayData();
+    const rules = getScheduleRules(settings, year, month);
+    const deadline = getDeadlineDate(year, month, holidayData.holidays, holidayData.workdays, rules.deadlineRule);
+    const rows = readMonthSubmissions(year, month, env.campaignId);
+    const formatCell = value => value instanceof Date ? formatDateTime(value) : String(value || '');
+    return Object.assign(summarizeSubmissions(rows), {
+      year: year,
+      month: month,
+      campaignId: env.campaignId,
+      campaigns: getCampaigns(scriptProperties.getProperties()).map(campaign => ({ id: campaign.id, name: campaign.name })),
+      deadline: deadline ? calculateDeadline(year, month, holidayData.holidays, holidayData.workdays, rules.deadlineRule) : '',
+      daysLeft: deadline ? countWorkingDaysLeft(now, deadline, holidayData.holidays, holidayData.workdays) : null,
+      people: rows.map(row => ({
+        email: row.email, name: row.name, department: row.department, submitted: row.submitted,
+        submittedAt: formatCell(row.submittedAt), remindedAt: formatCell(row.remindedAt)
+      })),
+      followUps: getFollowUps(settings).map(followUp => ({ id: followUp.id, name: followUp.name }))
+    });
+  } catch (e) {
+    logError(e, 'getSubmissionDashboard');
+    return null;
+  }
+}
+
+// 依該活動當月正式信的收件者新增追蹤對象；可重複執行，已有的列不受影響
+function generateSubmissionTracking(year, month, campaignId) {
+  try {
+    const env = createSendEnvironment({ campaignId: campaignId });
+    const entries = buildSubmissionEntries(env.resolveRecipients(env.getSettings(), year, month), readRecipientDirectory());
+    if (!entries.length) return { success: false, message: '當月沒有收件者，請先設定收件者。' };
+    const added = findNewSubmissionEntries(readMonthSubmissions(year, month, env.campaignId), entries);
+    if (added.length) {
+      const sheet = getSubmissionSheet(env.campaignId);
+      const start = sheet.getLastRow() + 1;
+      sheet.getRange(start, 1, added.length, SUBMISSION_HEADERS.length).setValues(added.map(entry => [
+        year, month, entry.email, entry.name, entry.department, entry.company, false, '', '', ''
+      ]));
+      sheet.getRange(start, SUBMISSION_COLUMNS.submitted, added.length, 1).insertCheckboxes();
+    }
+    return { success: true, message: added.length ? `已新增 ${added.length} 位追蹤對象。` : '追蹤名單已是最新。' };
+  } catch (e) {
+    logError(e, 'generateSubmissionTracking');
+    return { success: false, message: '產生追蹤名單失敗，請檢查日誌。' };
+  }
+}
+
+// 標記 (或取消標記) 指定同仁已繳交；整個部門標記時由面板傳入該部門的所有 Email
+function markSubmissions(year, month, emails, submitted, campaignId) {
+  try {
+    const targets = emails.map(email => String(email).toLowerCase());
+    const sheet = getSubmissionSheet(campaignId);
+    let count = 0;
+    readMonthSubmissions(year, month, campaignId).forEach(row => {
+      if (targets.indexOf(row.email.toLowerCase()) === -1 || row.submitted === !!submitted) return;
+      sheet.getRange(row.row, SUBMISSION_COLUMNS.submitted, 1, 2).setValues([[!!submitted, submitted ? new Date() : '']]);
+      count++;
+    });
+    return { success: true, message: `已更新 ${count} 位同仁的繳交狀態。` };
+  } catch (e) {
+    logError(e, 'markSubmissions');
+    return { success: false, message: '更新繳交狀態失敗，請檢查日誌。' };
+  }
+}
+
+/**
+ * 以指定的追蹤提醒信範本，逐一寄提醒給尚未繳交的同仁 (範本可使用 {{recipientName}} 等個人化變數)。
+ * 超過今日剩餘配額的同仁不寄出，並在訊息中說明。
+ * @return {{success: boolean, message: string}}
+ */
+function sendSubmissionReminders(year, month, followUpId, campaignId) {
+  const env = createSendEnvironment({ campaignId: campaignId });
+  const lock = env.getLock();
+  if (!lock.tryLock(30000)) return { success: false, message: '另一個寄信程序正在執行中，請稍後再試。' };
+  try {
+    const settings = env.getSettings();
+    const followUp = getFollowUps(settings).filter(item => item.id === followUpId)[0];
+    if (!followUp) return { success: false, message: '找不到指定的提醒範本。' };
+    const holidayData = env.getHolidayData();
+    const rules = getScheduleRules(settings, year, month);
+    const deadline = getDeadlineDate(year, month, holidayData.holidays, holidayData.workdays, rules.deadlineRule);
+    const daysLeft = deadline ? Math.max(countWorkingDaysLeft(env.now(), deadline, holidayData.holidays, holidayData.workdays), 0) : '';
+
+    const outstanding = readMonthSubmissions(year, month, env.campaignId).filter(row => !row.submitted);
+    if (!outstanding.length) return { success: true, message: '所有同仁皆已繳交，不需寄送提醒。' };
+    const quota = env.getRemainingQuota(String(settings.senderAlias || '').trim());
+    const targets = outstanding.slice(0, quota);
+    const sheet = getSubmissionSheet(env.campaignId);
+    let sent = 0;
+    targets.forEach(row => {
+      const status = _coreSendEmail(row.email, false, year, month, SUBMISSION_REMINDER_KIND, {
+        template: followUp,
+        variables: buildFollowUpVariables(daysLeft, row)
+      }, env);
+      if (status === 'sent') {
+        sheet.getRange(row.row, SUBMISSION_COLUMNS.remindedAt).setValue(env.now());
+        sent++;
+      }
+    });
+    let message = `已寄出 ${sent} 封提醒。`;
+    if (sent < targets.length) message += `${targets.length - sent} 封寄送失敗，詳情請見寄信紀錄。`;
+    if (targets.length < outstanding.length) message += `今日寄信配額不足，尚有 ${outstanding.length - targets.length} 位同仁未寄出。`;
+    return { success: sent === outstanding.length, message: message };
+  } catch (e) {
+    logError(e, 'sendSubmissionReminders');
+    return { success: false, message: '寄送提醒失敗，請檢查日誌。' };
+  } finally {
+    lock.releaseLock();
+  }
+}
@@ -0,0 +1,248 @@
+/**
+ * @fileoverview 信件範本語法：{{變數}}、{{變數|過濾器}}、{{#if 變數}}...{{else}}...{{/if}} 與 {{#unless 變數}}，
+ * 以及在設定介面管理的自訂變數 (例如表單資料夾網址、小幫手連結)。儲存設定時會檢查範本中是否有未定義的變數。
+ */
+
+// =================================================================
+// SECTION: 變數與過濾器
+// =================================================================
+
+// 所有範本都可使用的內建變數；daysLeft 等只在追蹤提醒信中提供 (見 buildFollowUpVariables)
+const TEMPLATE_BUILTIN_VARIABLES = ['rocYear', 'currentYear', 'currentMonth', 'nextRocYear', 'deadlineDate', 'december', 'attachmentLinks'];
+const FOLLOW_UP_TEMPLATE_VARIABLES = ['daysLeft', 'recipientName', 'recipientDepartment'];
+const TEMPLATE_VARIABLE_NAME_PATTERN = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+const WEEKDAY_NAMES = ['日', '一', '二', '三', '四', '五', '六'];
+
+// 日期過濾器可接受 Date、民國日期 (114年1月5日) 或西元日期 (2025/1/5、2025-01-05)；無法解析時原樣輸出
+function parseTemplateDate(value) {
+  if (value instanceof Date) return value;
+  const text = String(value == null ? '' : value).trim();
+  let match = text.match(/^(\d{2,3})年(\d{1,2})月(\d{1,2})日$/);
+  if (match) return new Date(parseInt(match[1], 10) + 1911, parseInt(match[2], 10) - 1, parseInt(match[3], 10));
+  match = text.match(/^(\d{4})[\/-](\d{1,2})[\/-](\d{1,2})$/);
+  if (match) return new Date(parseInt(match[1], 10), parseInt(match[2], 10) - 1, parseInt(match[3], 10));
+  return null;
+}
+
+function _dateFilter(format) {
+  return value => {
+    const date = parseTemplateDate(value);
+    return date ? format(date) : value;
+  };
+}
+
+const TEMPLATE_FILTERS = {
+  roc: _dateFilter(date => formatRocDate(date)),
+  gregorian: _dateFilter(date => formatDate(date)),
+  iso: _dateFilter(date => `${date.getFullYear()}-${('0' + (date.getMonth() + 1)).slice(-2)}-${('0' + date.getDate()).slice(-2)}`),
+  monthDay: _dateFilter(date => `${date.getMonth() + 1}月${date.getDate()}日`),
+  weekday: _dateFilter(date => '星期' + WEEKDAY_NAMES[date.getDay()]),
+  default: (value, fallback) => isTemplateValueTruthy(value) ? value : (fallback || '')
+};
+
+function isTemplateValueTruthy(value) {
+  return value !== undefined && value !== null && value !== false && value !== '' && value !== 0;
+}
+
+// =================================================================
+// SECTION: 解析與套用
+// =================================================================
+
+/**
+ * 將範本解析為節點樹。語法錯誤 (區塊未關閉、無法辨識的標記、未知的過濾器) 會拋出 Error。
+ * @return {Array<Object>} 節點：{type: 'text', value}、{type: 'var', name, filters, raw}、
+ *     {type: 'if', name, negate, children, elseChildren}。
+ */
+function parseTemplate(text) {
+  const root = { children: [] };
+  const stack = [];
+  let output = root.children;
+  const pattern = /{{\s*([^{}]*?)\s*}}/g;
+  let last = 0;
+  let match;
+  while ((match = pattern.exec(text))) {
+    if (match.index > last) output.push({ type: 'text', value: text.substring(last, match.index) });
+    last = pattern.lastIndex;
+    const tag = match[1];
+    const block = stack[stack.length - 1];
+
+    const open = tag.match(/^#(if|unless)\s+(\S+)$/);
+    if (open) {
+      if (!TEMPLATE_VARIABLE_NAME_PATTERN.test(open[2])) throw new Error(`條件中的變數名稱無效：${match[0]}`);
+      const node = { type: 'if', keyword: open[1], name: open[2], negate: open[1] === 'unless', children: [], elseChildren: null };
+      output.push(node);
+      stack.push(node);
+      output = node.children;
+      continue;
+    }
+    if (tag === 'else') {
+      if (!block || block.elseChildren) throw new Error('{{else}} 沒有對應的 {{#if}}');
+      block.elseChildren = [];
+      output = block.elseChildren;
+      continue;
+    }
+    const close = tag.match(/^\/(if|unless)$/);
+    if (close) {
+      if (!block || block.keyword !== close[1]) throw new Error(`${match[0]} 沒有對應的 {{#${close[1]}}}`);
+      stack.pop();
+      const parent = stack[stack.length - 1];
+      output = !parent ? root.children : (parent.elseChildren || parent.children);
+      continue;
+    }
+
+    const parts = tag.split('|').map(part => part.trim());
+    if (!TEMPLATE_VARIABLE_NAME_PATTERN.test(parts[0])) throw new Error(`無法辨識的標記：${match[0]}`);
+    const filters = parts.slice(1).map(part => {
+      const colon = part.indexOf(':');
+      const name = colon === -1 ? part : part.substring(0, colon).trim();
+      if (!TEMPLATE_FILTERS.hasOwnProperty(name)) throw new Error(`未知的過濾器「${name}」：${match[0]}`);
+      return { name: name, arg: colon === -1 ? '' : part.substring(colon + 1).trim() };
+    });
+    output.push({ type: 'var', name: parts[0], filters: filters, raw: match[0] });
+  }
+  if (stack.length) {
+    const block = stack[stack.length - 1];
+    throw new Error(`{{#${block.keyword} ${block.name}}} 沒有對應的 {{/${block.keyword}}}`);
+  }
+  if (last < text.length) output.push({ type: 'text', value: text.substring(last) });
+  return root.children;
+}
+
+function _renderTemplateNodes(nodes, variables, unresolved) {
+  return nodes.map(node => {
+    if (node.type === 'text') return node.value;
+    if (node.type === 'if') {
+      if (!variables.hasOwnProperty(node.name)) unresolved.push(node.name);
+      const truthy = isTemplateValueTruthy(variables[node.name]);
+      const branch = truthy !== node.negate ? node.children : (node.elseChildren || []);
+      return _renderTemplateNodes(branch, variables, unresolved);
+    }
+    // 未定義的變數保留原標記，由呼叫端決定是否阻擋寄送
+    if (!variables.hasOwnProperty(node.name)) {
+      unresolved.push(node.name);
+      return node.raw;
+    }
+    const value = node.filters.reduce((current, filter) => TEMPLATE_FILTERS[filter.name](current, filter.arg), variables[node.name]);
+    return value == null ? '' : String(value);
+  }).join('');
+}
+
+/**
+ * 套用範本。unresolved 若有傳入，會加入範本中未定義的變數名稱。
+ */
+function renderTemplate(text, variables, unresolved) {
+  if (!text) return '';
+  return _renderTemplateNodes(parseTemplate(text), variables || {}, unresolved || []);
+}
+
+// 列出範本使用的所有變數名稱 (含條件)
+function listTemplateVariables(text) {
+  const names = [];
+  const walk = nodes => nodes.forEach(node => {
+    if (node.type === 'text') return;
+    if (names.indexOf(node.name) === -1) names.push(node.name);
+    if (node.type === 'if') {
+      walk(node.children);
+      walk(node.elseChildren || []);
+    }
+  });
+  walk(parseTemplate(text || ''));
+  return names;
+}
+
+// 套用後仍殘留的 {{...}} 標記
+function findUnresolvedPlaceholders(text) {
+  return String(text || '').match(/{{\s*[^{}]*?\s*}}/g) || [];
+}
+
+// 預覽用：將 HTML 文字內容中殘留的 {{...}} 標記加上醒目底色 (不處理標籤屬性，例如連結網址)
+function highlightUnresolvedPlaceholders(html) {
+  return String(html || '').replace(/(^|>)([^<]+)/g, (match, open, text) =>
+      open + text.replace(/{{\s*[^{}]*?\s*}}/g, placeholder =>
+          `<mark style="background-color:#ffd7d5; color:#a50e0e;" title="未定義的變數">${placeholder}</mark>`));
+}
+
+// =================================================================
+// SECTION: 自訂變數
+// =================================================================
+
+function getCustomVariables(settings) {
+  if (!settings.customVariables) return [];
+  try {
+    const list = JSON.parse(settings.customVariables);
+    return Array.isArray(list)
+        ? list.map(item => ({ name: String(item.name || '').trim(), value: String(item.value == null ? '' : item.value) }))
+        : [];
+  } catch (e) {
+    logError(e, 'getCustomVariables');
+    return [];
+  }
+}
+
+function getCustomVariableMap(settings) {
+  const map = {};
+  getCustomVariables(settings).forEach(item => {
+    if (item.name) map[item.name] = item.value;
+  });
+  return map;
+}
+
+function validateCustomVariables(list) {
+  const errors = [];
+  const seen = {};
+  list.forEach(item => {
+    if (!TEMPLATE_VARIABLE_NAME_PATTERN.test(item.name)) {
+      errors.push(`自訂變數名稱「${item.name}」無效：只能使用英文字母、數字與底線，且不可以數字開頭`);
+    } else if (TEMPLATE_BUILTIN_VARIABLES.concat(FOLLOW_UP_TEMPLATE_VARIABLES).indexOf(item.name) !== -1) {
+      errors.push(`自訂變數「${item.name}」與內建變數同名`);
+    } else if (seen[item.name]) {
+      errors.push(`自訂變數「${item.name}」重複`);
+    }
+    seen[item.name] = true;
+  });
+  return errors;
+}
+
+// =================================================================
+// SECTION: 儲存前驗證
+// =================================================================
+
+// 檢查單一範本的語法與變數，回傳錯誤訊息陣列
+function validateTemplateText(label, text, knownNames) {
+  if (!text) return [];
+  try {
+    const undefinedNames = listTemplateVariables(text).filter(name => knownNames.indexOf(name) === -1);
+    return undefinedNames.length
+        ? [`${label}使用了未定義的變數：${undefinedNames.map(name => `{{${name}}}`).join('、')}`]
+        : [];
+  } catch (e) {
+    return [`${label}語法錯誤：${e.message}`];
+  }
+}
+
+/**
+ * 檢查自訂變數與所有範本、追蹤提醒信的語法與變數。
+ * @return {Array<{field: string, message: string}>} field 為 'customVariables'、'template.<id>' 或 'followUps'。
+ */
+function collectTemplateSettingErrors(settings) {
+  const customVariables = getCustomVariables(settings);
+  const errors = validateCustomVariables(customVariables).map(message => ({ field: 'customVariables', message: message }));
+  const add = (field, messages) => messages.forEach(message => errors.push({ field: field, message: message }));
+  const knownNames = TEMPLATE_BUILTIN_VARIABLES.concat(customVariables.map(item => item.name));
+  getTemplates(settings).forEach(template => {
+    const field = TEMPLATE_KEY_PREFIX + template.id;
+    add(field, validateTemplateText(`範本「${template.name}」主旨`, template.subject, knownNames));
+    add(field, validateTemplateText(`範本「${template.name}」內文`, template.body, knownNames));
+  });
+  const followUpNames = knownNames.concat(FOLLOW_UP_TEMPLATE_VARIABLES);
+  getFollowUps(settings).forEach(followUp => {
+    add('followUps', validateTemplateText(`追蹤提醒「${followUp.name}」主旨`, followUp.subject, followUpNames));
+    add('followUps', validateTemplateText(`追蹤提醒「${followUp.name}」內文`, followUp.body, followUpNames));
+  });
+  return errors;
+}
+
+function validateTemplateSettings(settings) {
+  return collectTemplateSettingErrors(settings).map(error => error.message);
+}
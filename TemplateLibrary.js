@@ -0,0 +1,176 @@
+/**
+ * @fileoverview 範本庫：每個範本有名稱、適用條件 (月份、年度、日期區間) 與優先順序，寄信時依年月挑選
+ * 優先順序最高的範本，並沿用該範本的寄信日 / 截止日規則與收件群組。
+ * 範本各自存於 `template.<id>` (避免超過單一屬性 9KB 的限制)，`templateIds` 記錄清單順序。
+ * 尚未建立範本庫時，由舊版「1-11月 / 12月」設定轉換出兩個範本。
+ */
+
+// =================================================================
+// SECTION: 範本資料
+// =================================================================
+
+const TEMPLATE_KEY_PREFIX = 'template.';
+const LEGACY_TEMPLATE_KEYS = ['Normal', 'December'].reduce((keys, type) =>
+    keys.concat(['subject', 'body', 'sendRule', 'deadlineRule', 'recipientGroups'].map(name => name + type)), []);
+
+function _parseJsonList(json, context) {
+  if (!json) return [];
+  try {
+    const list = typeof json === 'string' ? JSON.parse(json) : json;
+    return Array.isArray(list) ? list : [];
+  } catch (e) {
+    logError(e, context);
+    return [];
+  }
+}
+
+function _toNumberList(value, min, max) {
+  const list = Array.isArray(value) ? value : String(value || '').split(/[,\s]+/);
+  return list.map(item => parseInt(item, 10))
+      .filter((item, i, all) => item >= min && item <= max && all.indexOf(item) === i)
+      .sort((a, b) => a - b);
+}
+
+function _toIsoDate(value) {
+  const text = String(value || '').trim();
+  return /^\d{4}-\d{2}-\d{2}$/.test(text) ? text : '';
+}
+
+/**
+ * @return {{id: string, name: string, enabled: boolean, priority: number, months: Array<number>,
+ *     years: Array<number>, startDate: string, endDate: string, subject: string, body: string,
+ *     recipientGroups: Array<string>, sendRule: Object, deadlineRule: Object, driveItems: Array<string>,
+ *     driveMode: string}}
+ *     months / years 為空陣列代表不限；startDate / endDate 為 yyyy-mm-dd；driveItems 為雲端硬碟檔案或資料夾 ID。
+ */
+function normalizeTemplate(template, index) {
+  return {
+    id: String(template.id || `template${index + 1}`),
+    name: String(template.name || `範本 ${index + 1}`),
+    enabled: template.enabled !== false && template.enabled !== 'false',
+    priority: parseInt(template.priority, 10) || 0,
+    months: _toNumberList(template.months, 1, 12),
+    years: _toNumberList(template.years, 1900, 2999),
+    startDate: _toIsoDate(template.startDate),
+    endDate: _toIsoDate(template.endDate),
+    subject: String(template.subject || ''),
+    body: String(template.body || ''),
+    recipientGroups: _parseJsonList(template.recipientGroups, 'normalizeTemplate').map(String),
+    sendRule: parseScheduleRule(template.sendRule, DEFAULT_SEND_RULE),
+    deadlineRule: parseScheduleRule(template.deadlineRule, DEFAULT_DEADLINE_RULE),
+    driveItems: normalizeDriveItems(template.driveItems),
+    driveMode: normalizeDriveMode(template.driveMode)
+  };
+}
+
+// 舊版設定：1-11月範本作為不限月份的預設範本，12月範本以較高優先順序覆蓋
+function buildLegacyTemplates(settings) {
+  return [
+    { id: 'normal', name: '一般月份', priority: 0, months: [], type: 'Normal' },
+    { id: 'december', name: '12月', priority: 10, months: [12], type: 'December' }
+  ].map((item, i) => normalizeTemplate({
+    id: item.id,
+    name: item.name,
+    priority: item.priority,
+    months: item.months,
+    subject: settings['subject' + item.type],
+    body: settings['body' + item.type],
+    sendRule: settings['sendRule' + item.type],
+    deadlineRule: settings['deadlineRule' + item.type],
+    recipientGroups: settings['recipientGroups' + item.type]
+  }, i));
+}
+
+function getTemplates(settings) {
+  if (!settings.templateIds) return buildLegacyTemplates(settings);
+  return _parseJsonList(settings.templateIds, 'getTemplates').map((id, i) => {
+    const json = settings[TEMPLATE_KEY_PREFIX + id];
+    if (!json) return null;
+    try {
+      return normalizeTemplate(Object.assign(JSON.parse(json), { id: id }), i);
+    } catch (e) {
+      logError(e, 'getTemplates');
+      return null;
+    }
+  }).filter(Boolean);
+}
+
+// =================================================================
+// SECTION: 範本選擇 (純函式，方便測試)
+// =================================================================
+
+// 只判斷適用條件，不考慮是否啟用；日期區間只要與該月份有重疊即適用
+function isTemplateApplicable(template, year, month) {
+  if (template.months.length && template.months.indexOf(month) === -1) return false;
+  if (template.years.length && template.years.indexOf(year) === -1) return false;
+  const pad = value => ('0' + value).slice(-2);
+  const monthStart = `${year}-${pad(month)}-01`;
+  const monthEnd = `${year}-${pad(month)}-${pad(new Date(year, month, 0).getDate())}`;
+  if (template.startDate && template.startDate > monthEnd) return false;
+  if (template.endDate && template.endDate < monthStart) return false;
+  return true;
+}
+
+// 優先順序數字越大越優先；相同時以清單中較前面的範本為準
+function selectTemplate(templates, year, month) {
+  let selected = null;
+  templates.forEach(template => {
+    if (!template.enabled || !isTemplateApplicable(template, year, month)) return;
+    if (!selected || template.priority > selected.priority) selected = template;
+  });
+  return selected;
+}
+
+function getTemplateForMonth(settings, year, month) {
+  return selectTemplate(getTemplates(settings), year, month);
+}
+
+// 從 from 所在月份起兩年內，第一個符合範本適用條件的月份 (預覽用)
+function findNextTemplateMonth(template, from) {
+  for (let i = 0; i < 24; i++) {
+    const target = new Date(from.getFullYear(), from.getMonth() + i, 1);
+    if (isTemplateApplicable(template, target.getFullYear(), target.getMonth() + 1)) {
+      return { year: target.getFullYear(), month: target.getMonth() + 1 };
+    }
+  }
+  return null;
+}
+
+// =================================================================
+// SECTION: 儲存與驗證
+// =================================================================
+
+/**
+ * @return {Array<{field: string, message: string}>} field 為 'templates' (整個範本庫) 或 'template.<id>'。
+ */
+function collectTemplateLibraryErrors(settings) {
+  const templates = getTemplates(settings);
+  const errors = [];
+  if (!templates.some(template => template.enabled)) {
+    errors.push({ field: 'templates', message: '至少需要一個啟用中的信件範本' });
+  }
+  templates.forEach(template => {
+    const add = message => errors.push({ field: TEMPLATE_KEY_PREFIX + template.id, message: message });
+    if (!template.name.trim()) add('範本名稱不可空白');
+    if (template.startDate && template.endDate && template.startDate > template.endDate) {
+      add(`範本「${template.name}」的適用期間開始日晚於結束日`);
+    }
+    // 停用的範本不會寄出，允許先保留未完成的內容
+    if (template.enabled && !template.subject.trim()) add(`範本「${template.name}」的主旨不可空白`);
+    if (template.enabled && !template.body.trim()) add(`範本「${template.name}」的內文不可空白`);
+  });
+  return errors;
+}
+
+// 儲存範本庫後移除已刪除的範本與舊版「1-11月 / 12月」設定；campaignId 為範本庫所屬的通知活動
+function cleanupTemplateProperties(settings, campaignId) {
+  if (!settings.templateIds) return;
+  const prefix = campaignKeyPrefix(campaignId);
+  const keep = _parseJsonList(settings.templateIds, 'cleanupTemplateProperties').map(id => prefix + TEMPLATE_KEY_PREFIX + id);
+  scriptProperties.getKeys().forEach(key => {
+    const isStaleTemplate = key.indexOf(prefix + TEMPLATE_KEY_PREFIX) === 0 && keep.indexOf(key) === -1;
+    if (isStaleTemplate || (!prefix && LEGACY_TEMPLATE_KEYS.indexOf(key) !== -1)) {
+      scriptProperties.deleteProperty(key);
+    }
+  });
+}
@@ -45,9 +45,20 @@ function runAllTests() {
   // Run tests for the markdownToHtml function
   test_markdownToHtml_convertsNewlines();
   test_markdownToHtml_convertsLinks();
+  test_markdownToHtml_linkWithParentheses();
   test_markdownToHtml_convertsListItems();
   test_markdownToHtml_handlesMixedContent();
   test_markdownToHtml_handlesEmptyInput();
+  test_markdownToHtml_documentedMarkers();
+  test_markdownToHtml_nestedFormatting();
+  test_markdownToHtml_boldSpansLines();
+  test_markdownToHtml_unclosedMarkerIsLiteral();
+  test_markdownToHtml_orderedList();
+  test_markdownToHtml_rejectsUnsafeUrls();
+  test_getStyleMarkers_customMarkerIsSanitized();
+  test_markdownToPlainText_linksAndLists();
+  test_htmlToPlainText_signature();
+  test_composeEmailBodies_includesBothVersions();
 
   // 新增 processEmailTemplates/calculateDeadline 測試
   test_calculateDeadline_basic();
@@ -56,11 +67,219 @@ function runAllTests() {
   test_getSendDate_basic();
   test_getSendDate_holiday();
   test_processEmailTemplates_variables();
+  test_getSendDate_nthWorkingDayFromEnd();
+  test_getSendDate_customAnchorDay();
+  test_calculateDeadline_workingDaysAfterMonthEnd();
+  test_calculateDeadline_defaultRuleMatchesLegacy();
+
+  // 觸發器管理
+  test_analyzeTriggers_detectsDuplicateAndOrphaned();
+  test_computeNextDailyRun();
+
+  // 寄信紀錄
+  test_findSuccessfulSend();
+
+  // 追蹤提醒信
+  test_subtractWorkingDays_skipsHolidays();
+  test_findDueFollowUps();
+
+  // 收件者名單
+  test_isValidEmail();
+  test_selectRecipients_filtersByGroupAndRole();
+
+  // iCalendar 解析
+  test_parseHolidayData_unfoldsCrlfLines();
+  test_parseHolidayData_expandsMultiDayEvent();
+  test_parseHolidayData_handlesDateTimeValues();
+  test_parseHolidayData_unescapesText();
+  test_parseHolidayData_expandsRecurrence();
+  test_parseHolidayData_skipsUnsupportedRrule();
+  test_parseHolidayData_makeUpWorkday();
+  test_getSendDate_blocksEveryDayOfMultiDayHoliday();
+
+  // 公司自訂假日
+  test_mergeHolidayOverrides();
+  test_buildHolidayCalendarView_marksSources();
+
+  // 假日資料來源
+  test_parseDgpaCalendar_csv();
+  test_parseDgpaCalendar_json();
+  test_combineHolidaySources_fillsMissingYears();
+  test_findMissingHolidayYears_forDecemberDeadline();
+
+  // 範本語法
+  test_renderTemplate_filtersAndConditionals();
+  test_renderTemplate_keepsUndefinedPlaceholders();
+  test_parseTemplate_rejectsUnclosedBlock();
+  test_highlightUnresolvedPlaceholders();
+  test_parsePreviewMonth();
+  test_validateTemplateSettings_rejectsUndefinedVariables();
+
+  // 範本庫
+  test_getTemplates_convertsLegacySettings();
+  test_selectTemplate_byPriorityAndDateRange();
+  test_getScheduleRules_usesSelectedTemplate();
+
+  // 雲端硬碟附件
+  test_normalizeDriveItems_extractsIds();
+  test_planDriveAttachments_linkMode();
+  test_planDriveAttachments_attachMode();
+  test_limitAttachmentBytes_checksExportedSize();
+  test_buildAttachmentLinksMarkdown();
+
+  // 設定版本紀錄
+  test_buildSideBySideDiff_pairsChangedLines();
+  test_pickRevisionedSettings_skipsRuntimeKeys();
+  test_compareSettingsSnapshots();
+
+  // 設定檢查與匯出匯入
+  test_validateSettingField();
+  test_collectTemplateLibraryErrors_requiresSubjectAndBody();
+  test_collectPropertySizeErrors();
+  test_parseSettingsExport();
+  test_validateImportedSettings_checksEachCampaign();
+
+  // 寄信日預測
+  test_resolveRuleDate_tracesSkippedDays();
+  test_buildScheduleForecast();
+
+  // 正式信流程 (替換執行環境)
+  test_sendMonthlyEmail_sendsOnSendDate();
+  test_sendMonthlyEmail_skipsOtherDays();
+  test_sendMonthlyEmail_pausesWithoutHolidayCoverage();
+  test_runDryRun_capturesWithoutSending();
+
+  // 寄信監控 (警示、重試與配額)
+  test_planSendRetry_limitsAttemptsPerDay();
+  test_splitRecipientBatches_respectsLimitAndQuota();
+  test_sendMonthlyEmail_retriesFailedTriggerRuns();
+  test_sendMonthlyEmail_defersRecipientsOverQuota();
+  test_resumePendingSends_keepsEntryWhenResendFails();
+
+  // 繳交追蹤
+  test_buildSubmissionEntries();
+  test_summarizeSubmissions();
+  test_getSubmissionSheetName();
+  test_countWorkingDaysLeft();
+
+  // 寄出前核准
+  test_evaluateApproval();
+  test_getApproverDenial();
+  test_sendMonthlyEmail_waitsForApproval();
+  test_sendMonthlyEmail_approvalFallbackSends();
+  test_sendMonthlyEmail_resubmitsAfterRejection();
+
+  // 通知活動
+  test_getCampaigns_defaultsToSingleCampaign();
+  test_getCampaignSettings_separatesCampaigns();
+  test_toCampaignProperties_prefixesScopedKeys();
+  test_qualifyCampaignKind();
+
+  // 寄件別名
+  test_checkSendAsAlias();
+  test_sendMonthlyEmail_sendsFromAlias();
+  test_capSendQuota();
 
   console.log('==================== Test Run Complete ====================');
 }
 
 
+// =================================================================
+// SECTION: ICS Fixtures
+// =================================================================
+
+// 將多行 ICS 內容組成 CRLF 結尾的完整行事曆
+function buildIcsFixture(events) {
+  return ['BEGIN:VCALENDAR', 'VERSION:2.0', 'PRODID:-//Google Inc//Google Calendar 70.9054//EN']
+      .concat(events.map(lines => ['BEGIN:VEVENT'].concat(lines, ['END:VEVENT']).join('\r\n')))
+      .concat(['END:VCALENDAR'])
+      .join('\r\n') + '\r\n';
+}
+
+const ICS_FIXTURE_FOLDED = buildIcsFixture([[
+  'DTSTART;VALUE=DATE:20241010',
+  'DTEND;VALUE=DATE:20241011',
+  'SUMMARY:國慶',
+  ' 日',
+  'DESCRIPTION:國定假日\\n若要隱藏',
+  '\t紀念日，請前往 Google 日曆設定'
+]]);
+
+const ICS_FIXTURE_LUNAR_NEW_YEAR = buildIcsFixture([[
+  'DTSTART;VALUE=DATE:20250125',
+  'DTEND;VALUE=DATE:20250203',
+  'SUMMARY:春節',
+  'DESCRIPTION:國定假日',
+  'BEGIN:VALARM',
+  'ACTION:DISPLAY',
+  'DESCRIPTION:提醒',
+  'END:VALARM'
+]]);
+
+const ICS_FIXTURE_DATE_TIME = buildIcsFixture([
+  [
+    'DTSTART;TZID=Asia/Taipei:20240404T000000',
+    'DTEND;TZID=Asia/Taipei:20240406T000000',
+    'SUMMARY:兒童節及民族掃墓節',
+    'DESCRIPTION:國定假日'
+  ],
+  [
+    'DTSTART:20240916T160000Z',
+    'DTEND:20240917T160000Z',
+    'SUMMARY:中秋節',
+    'DESCRIPTION:國定假日'
+  ]
+]);
+
+const ICS_FIXTURE_ESCAPED = buildIcsFixture([[
+  'DTSTART;VALUE=DATE:20240628',
+  'SUMMARY:端午節\\, 補假',
+  'DESCRIPTION:紀念日\\; 非國定'
+]]);
+
+const ICS_FIXTURE_RECURRING = buildIcsFixture([[
+  'DTSTART;VALUE=DATE:20240101',
+  'DTEND;VALUE=DATE:20240102',
+  'RRULE:FREQ=YEARLY;COUNT=3',
+  'EXDATE;VALUE=DATE:20250101',
+  'SUMMARY:開國紀念日',
+  'DESCRIPTION:國定假日'
+]]);
+
+const ICS_FIXTURE_UNSUPPORTED_RRULE = buildIcsFixture([
+  [
+    'DTSTART;VALUE=DATE:20241014',
+    'RRULE:FREQ=YEARLY;BYMONTH=10;BYDAY=2MO',
+    'SUMMARY:公司紀念日',
+    'DESCRIPTION:國定假日'
+  ],
+  [
+    'DTSTART;VALUE=DATE:20241010',
+    'RRULE:FREQ=YEARLY;WKST=MO;COUNT=2',
+    'SUMMARY:國慶日',
+    'DESCRIPTION:國定假日'
+  ]
+]);
+
+const ICS_FIXTURE_MAKE_UP_DAY = buildIcsFixture([[
+  'DTSTART;VALUE=DATE:20250208',
+  'SUMMARY:補班',
+  'DESCRIPTION:紀念日'
+]]);
+
+const DGPA_FIXTURE_CSV = [
+  '\uFEFF西元日期,星期,是否放假,備註',
+  '20250101,三,2,開國紀念日',
+  '20250102,四,0,',
+  '20250104,六,2,',
+  '20250208,六,0,補行上班'
+].join('\r\n');
+
+const DGPA_FIXTURE_JSON = JSON.stringify([
+  { '西元日期': '20260216', '星期': '一', '是否放假': '2', '備註': '春節' },
+  { '西元日期': '20260217', '星期': '二', '是否放假': '0', '備註': '' }
+]);
+
 // =================================================================
 // SECTION: Test Cases
 // =================================================================
@@ -79,6 +298,14 @@ function test_markdownToHtml_convertsLinks() {
   assertEquals('markdownToHtml: Should convert Markdown links to HTML anchor tags', expected, actual);
 }
 
+function test_markdownToHtml_linkWithParentheses() {
+  const input = '請參考[說明](https://en.wikipedia.org/wiki/Invoice_(disambiguation))。';
+  assertEquals('markdownToHtml: 網址可包含成對的括號',
+      '請參考<a href="https://en.wikipedia.org/wiki/Invoice_(disambiguation)" target="_blank">說明</a>。<br>\n', markdownToHtml(input));
+  assertEquals('markdownToPlainText: 網址可包含成對的括號',
+      '請參考說明 (https://en.wikipedia.org/wiki/Invoice_(disambiguation))。', markdownToPlainText(input));
+}
+
 function test_markdownToHtml_convertsListItems() {
   const input = '- First item\n- Second item';
   const expected = '<ul><li>First item</li>\n<li>Second item</li>\n</ul>';
@@ -100,6 +327,65 @@ function test_markdownToHtml_handlesEmptyInput() {
   assertEquals('markdownToHtml: Should return an empty string for empty input', expected, actual);
 }
 
+const RED_MARKER_STYLE = 'background-color:#ffff00; color:#cc0000; font-weight:bold;';
+
+function test_markdownToHtml_documentedMarkers() {
+  const input = '**重要**請注意**重要** **粗體**期限**粗體**';
+  const expected = `<span style="${RED_MARKER_STYLE}">請注意</span> <span style="font-weight:bold;">期限</span><br>\n`;
+  assertEquals('markdownToHtml: 支援文件中的 重要 / 粗體 標記', expected, markdownToHtml(input));
+}
+
+function test_markdownToHtml_nestedFormatting() {
+  const input = '**紅字**請看 [**表單**](https://example.com/f?a=1&b=2)**紅字**';
+  const expected = `<span style="${RED_MARKER_STYLE}">請看 <a href="https://example.com/f?a=1&amp;b=2" target="_blank"><strong>表單</strong></a></span><br>\n`;
+  assertEquals('markdownToHtml: 巢狀樣式與連結', expected, markdownToHtml(input));
+}
+
+function test_markdownToHtml_boldSpansLines() {
+  const input = '**第一行\n第二行**\n\n下一段';
+  const expected = '<strong>第一行<br>\n第二行</strong><br>\n<br>\n下一段<br>\n';
+  assertEquals('markdownToHtml: 粗體可跨越同一段落的多行', expected, markdownToHtml(input));
+}
+
+function test_markdownToHtml_unclosedMarkerIsLiteral() {
+  assertEquals('markdownToHtml: 未關閉的樣式標記原樣輸出', '**紅字**沒有結尾 <strong>粗</strong><br>\n', markdownToHtml('**紅字**沒有結尾 **粗**'));
+}
+
+function test_markdownToHtml_orderedList() {
+  const input = '步驟：\n1. 填寫表單\n2) 送至會計處\n- 附註';
+  const expected = '步驟：<br>\n<ol><li>填寫表單</li>\n<li>送至會計處</li>\n</ol><ul><li>附註</li>\n</ul>';
+  assertEquals('markdownToHtml: 編號清單與項目符號清單', expected, markdownToHtml(input));
+}
+
+function test_markdownToHtml_rejectsUnsafeUrls() {
+  assertEquals('markdownToHtml: 不允許 javascript: 連結', '點我<br>\n', markdownToHtml('[點我](javascript:void)'));
+  assertEquals('markdownToHtml: 跳脫 HTML', 'a &lt;b onclick="x"&gt;<br>\n', markdownToHtml('a <b onclick="x">'));
+  assertEquals('markdownToHtml: 允許 mailto: 連結', '<a href="mailto:acc@example.com" target="_blank">來信</a><br>\n', markdownToHtml('[來信](mailto:acc@example.com)'));
+}
+
+function test_getStyleMarkers_customMarkerIsSanitized() {
+  const markers = getStyleMarkers({ styleMarkers: JSON.stringify([{ name: '藍字', style: 'color: #0066cc; background:url(http://x)' }]) });
+  assertEquals('getStyleMarkers: 保留內建標記', true, markers.some(m => m.name === '重要'));
+  assertEquals('markdownToHtml: 自訂標記只保留安全的樣式', '<span style="color:#0066cc;">藍</span><br>\n', markdownToHtml('**藍字**藍**藍字**', { markers: markers }));
+}
+
+function test_markdownToPlainText_linksAndLists() {
+  const input = '**Dear All,**\n\n**紅字**請於期限內送件**紅字**，詳見 [表單](https://example.com/forms)\nl   發票抬頭\n1. 填表\n2. [https://example.com](https://example.com)\n[壞連結](javascript:void)';
+  const expected = 'Dear All,\n\n請於期限內送件，詳見 表單 (https://example.com/forms)\n• 發票抬頭\n1. 填表\n2. https://example.com\n壞連結';
+  assertEquals('markdownToPlainText: 連結顯示網址並保留清單符號', expected, markdownToPlainText(input));
+}
+
+function test_htmlToPlainText_signature() {
+  const html = '<div>會計處 王小明<br>Tel: 02-1234&nbsp;5678</div><div><a href="https://example.com">官網</a></div>';
+  assertEquals('htmlToPlainText: 簽名檔轉純文字', '會計處 王小明\nTel: 02-1234 5678\n官網 (https://example.com)', htmlToPlainText(html));
+}
+
+function test_composeEmailBodies_includesBothVersions() {
+  const bodies = composeEmailBodies('**Dear All,**', {}, '<div>會計處</div>');
+  assertEquals('composeEmailBodies: HTML 以表格排版', true, bodies.html.indexOf('<table role="presentation"') !== -1 && bodies.html.indexOf('<strong>Dear All,</strong><br>\n<div>會計處</div>') !== -1);
+  assertEquals('composeEmailBodies: 純文字附上簽名檔', 'Dear All,\n\n-- \n會計處', bodies.text);
+}
+
 function test_calculateDeadline_basic() {
   // 2024/8/5 (週一) 非假日
   const holidays = [];
@@ -164,3 +450,884 @@ function test_processEmailTemplates_variables() {
   assertDeepEquals('processEmailTemplates: 12月', {subject:'【通知】113年12月款項申請，至測試截止日截止。', body:'民國年:113, 月份:12, 明年:114, 截止:測試截止日'}, result);
   this.calculateDeadline = oldCalculateDeadline;
 }
+
+function test_analyzeTriggers_detectsDuplicateAndOrphaned() {
+  const triggers = [
+    { id: '1', handler: 'sendDueCampaigns' },
+    { id: '2', handler: 'sendDueCampaigns' },
+    { id: '3', handler: 'removedFunction' },
+    { id: '4', handler: 'sendMonthlyEmail' }
+  ];
+  const result = analyzeTriggers(triggers, function(handler) { return handler !== 'removedFunction'; });
+  assertDeepEquals('analyzeTriggers: 標記重複、孤立與舊版觸發器', ['ok', 'duplicate', 'orphaned', 'legacy'], result.entries.map(e => e.status));
+  assertEquals('analyzeTriggers: 列出未安裝的排程', true, result.missing.indexOf('holiday') !== -1 && result.missing.indexOf('send') === -1);
+  const legacyOnly = analyzeTriggers([{ id: '1', handler: 'sendMonthlyEmail' }], function() { return true; });
+  assertEquals('analyzeTriggers: 只有舊版寄信觸發器時視為未安裝', true, legacyOnly.missing.indexOf('send') !== -1);
+}
+
+function test_computeNextDailyRun() {
+  const beforeHour = computeNextDailyRun(new Date(2024, 7, 23, 8, 30), 9);
+  assertEquals('computeNextDailyRun: 當日尚未執行', new Date(2024, 7, 23, 9).getTime(), beforeHour.getTime());
+  const afterHour = computeNextDailyRun(new Date(2024, 7, 31, 10, 0), 9);
+  assertEquals('computeNextDailyRun: 已過時段則為隔日 (跨月)', new Date(2024, 8, 1, 9).getTime(), afterHour.getTime());
+}
+
+function test_findSuccessfulSend() {
+  const entries = [
+    { year: 2024, month: 8, kind: 'official', status: 'error' },
+    { year: 2024, month: 8, kind: 'preview', status: 'success' },
+    { year: 2024, month: 7, kind: 'official', status: 'success' }
+  ];
+  assertEquals('findSuccessfulSend: 失敗或預覽紀錄不算已寄送', null, findSuccessfulSend(entries, 2024, 8, 'official'));
+  entries.push({ year: 2024, month: 8, kind: 'official', status: 'success' });
+  assertEquals('findSuccessfulSend: 找到同月份成功的正式信', entries[3], findSuccessfulSend(entries, 2024, 8, 'official'));
+  assertEquals('findLatestSend: 找到同月份失敗的正式信', entries[0], findLatestSend(entries, 2024, 8, 'official', 'error'));
+}
+
+function test_getSendDate_nthWorkingDayFromEnd() {
+  // 2024/8 倒數第三個工作日：8/31(六) 8/30(五) 8/29(四) 8/28(三) → 8/28
+  const rule = { mode: 'workingDay', n: -3 };
+  const result = getSendDate(2024, 8, [], [], rule);
+  assertEquals('getSendDate: 倒數第三個工作日', new Date(2024, 7, 28).getTime(), result.getTime());
+}
+
+function test_getSendDate_customAnchorDay() {
+  // 2024/10/20 (週日) 往前推到 18 號 (週五)；若 18 號為假日則推到 17 號
+  const rule = { mode: 'day', day: 20, roll: 'backward' };
+  assertEquals('getSendDate: 自訂錨定日往前推', new Date(2024, 9, 18).getTime(), getSendDate(2024, 10, [], [], rule).getTime());
+  const holidays = [new Date(2024, 9, 18).getTime()];
+  assertEquals('getSendDate: 自訂錨定日遇假日', new Date(2024, 9, 17).getTime(), getSendDate(2024, 10, holidays, [], rule).getTime());
+}
+
+function test_calculateDeadline_workingDaysAfterMonthEnd() {
+  // 月底後第 3 個工作日：2024/9/2(一) 9/3(二) 9/4(三)，9/3 為假日則為 9/5
+  const rule = { monthOffset: 1, mode: 'workingDay', n: 3 };
+  assertEquals('calculateDeadline: 月底後第 N 個工作日', '113年9月4日', calculateDeadline(2024, 8, [], [], rule));
+  const holidays = [new Date(2024, 8, 3).getTime()];
+  assertEquals('calculateDeadline: 月底後第 N 個工作日遇假日', '113年9月5日', calculateDeadline(2024, 8, holidays, [], rule));
+}
+
+function test_calculateDeadline_defaultRuleMatchesLegacy() {
+  // 2024/12 → 2025/1/5 (週日) 順延至 1/6 (週一)
+  assertEquals('calculateDeadline: 12 月預設規則跨年', '114年1月6日', calculateDeadline(2024, 12, [], []));
+  assertDeepEquals('getScheduleRules: 未設定時使用預設規則', DEFAULT_DEADLINE_RULE, getScheduleRules({}, 2024, 12).deadlineRule);
+}
+
+function test_subtractWorkingDays_skipsHolidays() {
+  // 2024/9/5 (週四) 往前三個工作日：9/4、9/3 (假日略過)、9/2、8/30 → 8/30
+  const holidays = [new Date(2024, 8, 3).getTime()];
+  const result = subtractWorkingDays(new Date(2024, 8, 5), 3, holidays, []);
+  assertEquals('subtractWorkingDays: 跳過假日與週末', new Date(2024, 7, 30).getTime(), result.getTime());
+}
+
+function test_findDueFollowUps() {
+  // 8 月截止日為 2024/9/5 (週四)：剩三個工作日提醒在 9/2，截止日當天提醒在 9/5
+  const followUps = [
+    normalizeFollowUp({ id: 'three', enabled: true, daysBefore: 3 }, 0),
+    normalizeFollowUp({ id: 'last', enabled: true, daysBefore: 0 }, 1),
+    normalizeFollowUp({ id: 'off', enabled: false, daysBefore: 0 }, 2)
+  ];
+  const onThree = findDueFollowUps(new Date(2024, 8, 2, 9), followUps, {}, [], []);
+  assertDeepEquals('findDueFollowUps: 截止日前三個工作日', [[2024, 8, 'three']], onThree.map(d => [d.year, d.month, d.followUp.id]));
+  const onDeadline = findDueFollowUps(new Date(2024, 8, 5, 9), followUps, {}, [], []);
+  assertDeepEquals('findDueFollowUps: 截止日當天 (停用的提醒不寄)', [[2024, 8, 'last']], onDeadline.map(d => [d.year, d.month, d.followUp.id]));
+}
+
+function test_isValidEmail() {
+  assertEquals('isValidEmail: 正確格式', true, isValidEmail('tfgroup@trendforce.com'));
+  assertEquals('isValidEmail: 缺少網域', false, isValidEmail('tfgroup@'));
+  assertDeepEquals('parseEmailList: 逗號與空白分隔', ['a@x.com', 'b@x.com'], parseEmailList(' a@x.com, b@x.com ,'));
+}
+
+function test_selectRecipients_filtersByGroupAndRole() {
+  const entries = [
+    { email: 'a@x.com', department: '財務部', company: 'TF', role: 'To', active: true },
+    { email: 'b@x.com', department: '業務部', company: 'TF', role: 'CC', active: true },
+    { email: 'c@x.com', department: '財務部', company: 'TN', role: 'BCC', active: true },
+    { email: 'd@x.com', department: '財務部', company: 'TF', role: 'To', active: false },
+    { email: 'A@x.com', department: '財務部', company: 'TF', role: 'CC', active: true },
+    { email: 'bad-address', department: '財務部', company: 'TF', role: 'To', active: true }
+  ];
+  const all = selectRecipients(entries, []);
+  assertDeepEquals('selectRecipients: 未選群組寄給全部啟用者 (重複地址以 To 為準)',
+      { to: ['a@x.com'], cc: ['b@x.com'], bcc: ['c@x.com'] }, { to: all.to, cc: all.cc, bcc: all.bcc });
+  assertEquals('selectRecipients: 略過格式錯誤的地址', 1, all.invalid.length);
+  const finance = selectRecipients(entries, ['部門:財務部']);
+  assertEquals('selectRecipients: 依部門篩選', 2, countRecipients(finance));
+  const tn = selectRecipients(entries, ['公司:TN']);
+  assertDeepEquals('selectRecipients: 依公司別篩選', ['c@x.com'], tn.bcc);
+}
+
+function test_parseHolidayData_unfoldsCrlfLines() {
+  const result = parseHolidayData(ICS_FIXTURE_FOLDED);
+  assertDeepEquals('parseHolidayData: 還原折行並處理 CRLF', [new Date(2024, 9, 10).getTime()], result.holidays);
+  assertEquals('parseIcsEvents: 折行後的 SUMMARY', '國慶日', parseIcsEvents(ICS_FIXTURE_FOLDED)[0].summary);
+}
+
+function test_parseHolidayData_expandsMultiDayEvent() {
+  // DTEND 不含當天：1/25 ~ 2/2 共 9 天；VALARM 內的 DESCRIPTION 不應覆蓋事件內容
+  const result = parseHolidayData(ICS_FIXTURE_LUNAR_NEW_YEAR);
+  assertEquals('parseHolidayData: 多日事件展開每一天', 9, result.holidays.length);
+  assertEquals('parseHolidayData: 多日事件最後一天', new Date(2025, 1, 2).getTime(), result.holidays[8]);
+}
+
+function test_parseHolidayData_handlesDateTimeValues() {
+  // TZID 事件涵蓋 4/4、4/5；UTC 2024/9/16 16:00 為台北時間 9/17
+  const result = parseHolidayData(ICS_FIXTURE_DATE_TIME);
+  assertDeepEquals('parseHolidayData: TZID 與 UTC 時間', [
+    new Date(2024, 3, 4).getTime(),
+    new Date(2024, 3, 5).getTime(),
+    new Date(2024, 8, 17).getTime()
+  ], result.holidays);
+}
+
+function test_parseHolidayData_unescapesText() {
+  const event = parseIcsEvents(ICS_FIXTURE_ESCAPED)[0];
+  assertEquals('unescapeIcsText: 逗號跳脫', '端午節, 補假', event.summary);
+  assertEquals('unescapeIcsText: 分號跳脫', '紀念日; 非國定', event.description);
+  assertDeepEquals('parseHolidayData: 補假視為假日', [new Date(2024, 5, 28).getTime()], parseHolidayData(ICS_FIXTURE_ESCAPED).holidays);
+}
+
+function test_parseHolidayData_expandsRecurrence() {
+  const result = parseHolidayData(ICS_FIXTURE_RECURRING, { until: new Date(2030, 0, 1) });
+  assertDeepEquals('parseHolidayData: RRULE 展開並排除 EXDATE', [
+    new Date(2024, 0, 1).getTime(),
+    new Date(2026, 0, 1).getTime()
+  ], result.holidays);
+}
+
+function test_parseHolidayData_skipsUnsupportedRrule() {
+  const result = parseHolidayData(ICS_FIXTURE_UNSUPPORTED_RRULE, { until: new Date(2030, 0, 1) });
+  assertDeepEquals('parseHolidayData: 不支援的 RRULE 不展開，WKST 不影響展開', [
+    new Date(2024, 9, 10).getTime(),
+    new Date(2025, 9, 10).getTime()
+  ], result.holidays);
+  assertEquals('parseHolidayData: 略過一個事件', 1, result.skipped.length);
+  assertDeepEquals('parseHolidayData: 列出不支援的規則', ['BYMONTH', 'BYDAY'], result.skipped[0].parts);
+  assertEquals('describeSkippedIcsEvents: 摘要文字', '公司紀念日 (2024/10/14，BYMONTH、BYDAY)', describeSkippedIcsEvents(result.skipped));
+}
+
+function test_parseHolidayData_makeUpWorkday() {
+  const result = parseHolidayData(ICS_FIXTURE_MAKE_UP_DAY);
+  assertDeepEquals('parseHolidayData: 補班日', [new Date(2025, 1, 8).getTime()], result.workdays);
+  assertEquals('parseHolidayData: 補班日不列入假日', 0, result.holidays.length);
+}
+
+function test_getSendDate_blocksEveryDayOfMultiDayHoliday() {
+  // 2025/1 若以 1/31 為錨定日，春節 1/25 ~ 2/2 全部跳過，往前推到 1/24 (週五)
+  const data = parseHolidayData(ICS_FIXTURE_LUNAR_NEW_YEAR);
+  const result = getSendDate(2025, 1, data.holidays, data.workdays, { mode: 'day', day: -1, roll: 'backward' });
+  assertEquals('getSendDate: 多日連假每天都不寄信', new Date(2025, 0, 24).getTime(), result.getTime());
+}
+
+function test_mergeHolidayOverrides() {
+  const typhoon = new Date(2024, 6, 25).getTime();
+  const publicHoliday = new Date(2024, 9, 10).getTime();
+  const inventory = new Date(2024, 11, 28).getTime();
+  const base = { holidays: [publicHoliday], workdays: [] };
+  const result = mergeHolidayOverrides(base, [
+    { time: typhoon, type: 'holiday', note: '颱風假' },
+    { time: publicHoliday, type: 'ignore', note: '照常上班' },
+    { time: inventory, type: 'workday', note: '年終盤點' }
+  ]);
+  assertDeepEquals('mergeHolidayOverrides: 新增休假並忽略公開假日', [typhoon], result.holidays);
+  assertDeepEquals('mergeHolidayOverrides: 新增補班日', [inventory], result.workdays);
+  assertDeepEquals('mergeHolidayOverrides: 不修改原始資料', [publicHoliday], base.holidays);
+}
+
+function test_buildHolidayCalendarView_marksSources() {
+  const publicHoliday = new Date(2024, 9, 10).getTime();
+  const companyHoliday = new Date(2024, 6, 25).getTime();
+  const view = buildHolidayCalendarView(
+      { holidays: [publicHoliday, new Date(2025, 0, 1).getTime()], workdays: [] },
+      [{ time: companyHoliday, type: 'holiday', note: '颱風假' }, { time: publicHoliday, type: 'ignore', note: '' }],
+      2024);
+  assertDeepEquals('buildHolidayCalendarView: 標示來源並只列出該年度',
+      [['company', false], ['public', true]], view.map(e => [e.source, e.ignored]));
+}
+
+function test_parseDgpaCalendar_csv() {
+  const result = parseDgpaCalendar(DGPA_FIXTURE_CSV);
+  assertDeepEquals('parseDgpaCalendar: CSV 平日放假為假日', [new Date(2025, 0, 1).getTime()], result.holidays);
+  assertDeepEquals('parseDgpaCalendar: CSV 週末上班為補班日', [new Date(2025, 1, 8).getTime()], result.workdays);
+}
+
+function test_parseDgpaCalendar_json() {
+  const result = parseDgpaCalendar(DGPA_FIXTURE_JSON);
+  assertDeepEquals('parseDgpaCalendar: JSON 格式', [new Date(2026, 1, 16).getTime()], result.holidays);
+}
+
+function test_combineHolidaySources_fillsMissingYears() {
+  const primary = { holidays: [new Date(2025, 0, 1).getTime()], workdays: [] };
+  const fallback = { holidays: [new Date(2025, 1, 28).getTime(), new Date(2026, 0, 1).getTime()], workdays: [] };
+  const result = combineHolidaySources(primary, fallback);
+  assertDeepEquals('combineHolidaySources: 只補足未涵蓋的年度',
+      [new Date(2025, 0, 1).getTime(), new Date(2026, 0, 1).getTime()], result.holidays);
+  assertDeepEquals('combineHolidaySources: 標示各年度來源', { 2025: 'google', 2026: 'dgpa' }, result.coverage);
+}
+
+function test_findMissingHolidayYears_forDecemberDeadline() {
+  // 12 月的截止日在次年 1 月，需同時涵蓋兩個年度
+  const data = combineHolidaySources({ holidays: [new Date(2025, 9, 10).getTime()], workdays: [] }, null);
+  const years = getRuleYears(2025, 12, getScheduleRules({}, 2025, 12));
+  assertDeepEquals('findMissingHolidayYears: 12 月需涵蓋次年', [2026], findMissingHolidayYears(data, years));
+  assertDeepEquals('findMissingHolidayYears: 11 月只需當年', [], findMissingHolidayYears(data, getRuleYears(2025, 11, getScheduleRules({}, 2025, 11))));
+}
+
+function test_renderTemplate_filtersAndConditionals() {
+  const variables = { deadlineDate: '114年1月6日', december: true, formsUrl: '' };
+  assertEquals('renderTemplate: 日期過濾器',
+      '2025/1/6 (星期一)、1月6日', renderTemplate('{{deadlineDate|gregorian}} ({{ deadlineDate | weekday }})、{{deadlineDate|monthDay}}', variables));
+  assertEquals('renderTemplate: 條件區塊',
+      '年底提醒', renderTemplate('{{#if december}}年底{{else}}每月{{/if}}提醒', variables));
+  assertEquals('renderTemplate: unless 與 default',
+      '請洽會計處', renderTemplate('{{#unless formsUrl}}請洽{{formsUrl|default:會計處}}{{/unless}}', variables));
+}
+
+function test_renderTemplate_keepsUndefinedPlaceholders() {
+  const unresolved = [];
+  const result = renderTemplate('截止日 {{deadlineDate}}，表單 {{formsUrl}}', { deadlineDate: '測試截止日' }, unresolved);
+  assertEquals('renderTemplate: 保留未定義的變數', '截止日 測試截止日，表單 {{formsUrl}}', result);
+  assertDeepEquals('renderTemplate: 回報未定義的變數', ['formsUrl'], unresolved);
+  assertDeepEquals('findUnresolvedPlaceholders', ['{{formsUrl}}'], findUnresolvedPlaceholders(result));
+}
+
+function test_parseTemplate_rejectsUnclosedBlock() {
+  let message = '';
+  try {
+    parseTemplate('{{#if december}}年底');
+  } catch (e) {
+    message = e.message;
+  }
+  assertEquals('parseTemplate: 未關閉的條件區塊', true, message.indexOf('{{/if}}') !== -1);
+}
+
+function test_highlightUnresolvedPlaceholders() {
+  const html = '<p>表單 {{formsUrl}}，<a href="https://example.com/{{id}}">連結</a></p>';
+  const result = highlightUnresolvedPlaceholders(html);
+  assertEquals('highlightUnresolvedPlaceholders: 標示文字中的變數', true, result.indexOf('title="未定義的變數">{{formsUrl}}</mark>') !== -1);
+  assertEquals('highlightUnresolvedPlaceholders: 不處理標籤屬性', true, result.indexOf('href="https://example.com/{{id}}"') !== -1);
+  assertEquals('highlightUnresolvedPlaceholders: 沒有變數時不變', '<p>截止日 1月6日</p>', highlightUnresolvedPlaceholders('<p>截止日 1月6日</p>'));
+}
+
+function test_parsePreviewMonth() {
+  const today = new Date(2026, 9, 19);
+  assertDeepEquals('parsePreviewMonth: YYYY-MM', { year: 2025, month: 12 }, parsePreviewMonth('2025-12', today));
+  assertDeepEquals('parsePreviewMonth: 留空為本月', { year: 2026, month: 10 }, parsePreviewMonth(' ', today));
+  assertEquals('parsePreviewMonth: 月份超出範圍', null, parsePreviewMonth('2025-13', today));
+  assertEquals('parsePreviewMonth: 格式錯誤', null, parsePreviewMonth('2025/12', today));
+}
+
+function test_validateTemplateSettings_rejectsUndefinedVariables() {
+  const settings = {
+    customVariables: JSON.stringify([{ name: 'formsUrl', value: 'https://example.com' }]),
+    subjectNormal: '{{rocYear}}年{{currentMonth}}月 {{deadlineDate|weekday}}',
+    bodyNormal: '[表單]({{formsUrl}}) {{helpUrl}}',
+    bodyDecember: '剩 {{daysLeft}} 天',
+    followUps: JSON.stringify([{ id: 'a', name: '提醒', subject: '剩 {{daysLeft}} 天', body: '{{formsUrl}}' }])
+  };
+  assertDeepEquals('validateTemplateSettings: 拒絕未定義的變數', [
+    '範本「一般月份」內文使用了未定義的變數：{{helpUrl}}',
+    '範本「12月」內文使用了未定義的變數：{{daysLeft}}'
+  ], validateTemplateSettings(settings));
+}
+
+function test_validateImportedSettings_checksEachCampaign() {
+  const template = JSON.stringify({ name: '一般', subject: '{{rocYear}}年{{currentMonth}}月請款', body: '請於{{deadlineDate}}前送出' });
+  const settings = {
+    recipient: 'staff@example.com', templateIds: '["a"]', 'template.a': template,
+    campaigns: JSON.stringify([{ id: 'default', name: '請款' }, { id: 'tax', name: '營業稅' }]),
+    'c.tax.recipient': 'not-an-email', 'c.tax.templateIds': '["b"]',
+    'c.tax.template.b': JSON.stringify({ name: '營業稅', subject: '{{unknownVar}}', body: '申報提醒' })
+  };
+  const errors = validateImportedSettings(settings, {});
+  const taxErrors = errors.filter(error => error.message.indexOf('活動「營業稅」：') === 0);
+  assertEquals('validateImportedSettings: 檢查其他活動的收件者', true,
+      taxErrors.some(error => error.field === 'c.tax.recipient' && error.message.indexOf('not-an-email') !== -1));
+  assertEquals('validateImportedSettings: 檢查其他活動的範本', true,
+      taxErrors.some(error => error.message.indexOf('unknownVar') !== -1));
+  assertEquals('validateImportedSettings: 預設活動沒有錯誤', 0, errors.length - taxErrors.length);
+}
+
+function test_getTemplates_convertsLegacySettings() {
+  const templates = getTemplates({ subjectNormal: '一般', subjectDecember: '年底', recipientGroupsDecember: '["部門:財會"]' });
+  assertDeepEquals('getTemplates: 舊版設定轉換為兩個範本', ['normal', 'december'], templates.map(t => t.id));
+  assertEquals('getTemplates: 12月範本沿用舊版收件群組', '部門:財會', templates[1].recipientGroups[0]);
+  assertEquals('selectTemplate: 12月使用12月範本', '年底', selectTemplate(templates, 2025, 12).subject);
+  assertEquals('selectTemplate: 其他月份使用一般範本', '一般', selectTemplate(templates, 2025, 6).subject);
+}
+
+function test_selectTemplate_byPriorityAndDateRange() {
+  const templates = [
+    { id: 'normal', name: '一般' },
+    { id: 'halfYear', name: '半年結', months: [6], priority: 10 },
+    { id: 'lunarNewYear', name: '春節', startDate: '2026-02-10', endDate: '2026-02-20', priority: 20 },
+    { id: 'special', name: '停用的公告', years: [2026], priority: 99, enabled: false }
+  ].map(normalizeTemplate);
+  assertEquals('selectTemplate: 指定月份優先', 'halfYear', selectTemplate(templates, 2026, 6).id);
+  assertEquals('selectTemplate: 日期區間與月份重疊', 'lunarNewYear', selectTemplate(templates, 2026, 2).id);
+  assertEquals('selectTemplate: 日期區間外改用預設範本', 'normal', selectTemplate(templates, 2027, 2).id);
+  assertDeepEquals('findNextTemplateMonth: 預覽月份', { year: 2026, month: 6 }, findNextTemplateMonth(templates[1], new Date(2025, 10, 15)));
+}
+
+function test_getScheduleRules_usesSelectedTemplate() {
+  const settings = {
+    templateIds: '["a","b"]',
+    'template.a': JSON.stringify({ name: '一般' }),
+    'template.b': JSON.stringify({ name: '春節', years: [2026], months: [1], priority: 5, deadlineRule: { monthOffset: 0, mode: 'day', day: 20, roll: 'backward' } })
+  };
+  assertEquals('getScheduleRules: 使用適用範本的截止日規則', 20, getScheduleRules(settings, 2026, 1).deadlineRule.day);
+  assertEquals('getScheduleRules: 其他年度使用預設範本', 5, getScheduleRules(settings, 2027, 1).deadlineRule.day);
+}
+
+function test_normalizeDriveItems_extractsIds() {
+  const items = normalizeDriveItems('https://drive.google.com/file/d/1AbCdEfGhIjK/view\n' +
+      'https://drive.google.com/drive/folders/1FoLdErIdXy\n1AbCdEfGhIjK');
+  assertDeepEquals('normalizeDriveItems: 取出 ID 並去除重複', ['1AbCdEfGhIjK', '1FoLdErIdXy'], items);
+}
+
+function test_planDriveAttachments_linkMode() {
+  const plan = planDriveAttachments([
+    { id: 'f1', exists: true, name: '申請表', url: 'https://example.com/f1', shared: true },
+    { id: 'f2', exists: true, name: '內部文件', url: 'https://example.com/f2', shared: false },
+    { id: 'f3', exists: false }
+  ], 'link');
+  assertEquals('planDriveAttachments: 未共用仍插入連結', 2, plan.links.length);
+  assertEquals('planDriveAttachments: 連結模式不附加檔案', 0, plan.files.length);
+  assertDeepEquals('planDriveAttachments: 未共用與找不到的項目發出警示', [
+    '「內部文件」尚未共用，收件者可能無法開啟連結',
+    '找不到雲端硬碟項目 f3，可能已刪除或沒有存取權限'
+  ], plan.warnings);
+}
+
+function test_planDriveAttachments_attachMode() {
+  const children = [];
+  for (let i = 1; i <= MAX_FOLDER_ATTACHMENTS + 2; i++) {
+    children.push({ id: 'c' + i, name: '檔案' + i, url: 'https://example.com/c' + i, mimeType: 'application/pdf', size: 100 });
+  }
+  const plan = planDriveAttachments([
+    { id: 'doc', exists: true, name: '說明', url: 'https://example.com/doc', mimeType: 'application/vnd.google-apps.document', size: 0 },
+    { id: 'big', exists: true, name: '大檔案', url: 'https://example.com/big', mimeType: 'application/zip', size: MAX_ATTACHMENT_BYTES + 1 },
+    { id: 'folder', exists: true, isFolder: true, name: '表單', children: children },
+    { id: 'old', exists: true, trashed: true, name: '舊表單' }
+  ], 'attach');
+  assertEquals('planDriveAttachments: Google 文件轉為 PDF', true, plan.files[0].export);
+  assertEquals('planDriveAttachments: 資料夾只附加上限數量', 1 + MAX_FOLDER_ATTACHMENTS, plan.files.length);
+  assertDeepEquals('planDriveAttachments: 過大、過多與已刪除的項目發出警示', [
+    '「大檔案」超過附件大小上限，未附加',
+    `資料夾「表單」有 ${MAX_FOLDER_ATTACHMENTS + 2} 個檔案，只附加前 ${MAX_FOLDER_ATTACHMENTS} 個`,
+    '「舊表單」已移至垃圾桶'
+  ], plan.warnings);
+}
+
+function test_limitAttachmentBytes_checksExportedSize() {
+  const half = MAX_ATTACHMENT_BYTES / 2;
+  const result = limitAttachmentBytes([
+    { name: '說明', export: true, bytes: half },
+    { name: '報表', export: true, bytes: half + 1 },
+    { name: '表單', export: false, bytes: 100 }
+  ], MAX_ATTACHMENT_BYTES);
+  assertDeepEquals('limitAttachmentBytes: 轉檔後超過上限的檔案不附加', ['說明', '表單'], result.kept.map(item => item.name));
+  assertDeepEquals('limitAttachmentBytes: 發出警示', ['「報表」轉為 PDF 後超過附件大小上限，未附加 (仍列在附件連結中)'], result.warnings);
+}
+
+function test_buildAttachmentLinksMarkdown() {
+  const markdown = buildAttachmentLinksMarkdown([{ name: '申請表 [114]', url: 'https://example.com/f1' }]);
+  assertEquals('buildAttachmentLinksMarkdown: 產生清單連結', '- [申請表 114](https://example.com/f1)', markdown);
+  assertEquals('buildAttachmentLinksMarkdown: 套用後為連結清單', true,
+      markdownToHtml(markdown).indexOf('<li><a href="https://example.com/f1"') !== -1);
+}
+
+function test_buildSideBySideDiff_pairsChangedLines() {
+  const rows = buildSideBySideDiff('Dear All,\n請於5日前送出\n謝謝', 'Dear All,\n請於6日前送出\n新增說明\n謝謝');
+  assertDeepEquals('buildSideBySideDiff: 修改的行左右對照，多出的行標示新增', [
+    { type: 'same', left: 'Dear All,', right: 'Dear All,' },
+    { type: 'changed', left: '請於5日前送出', right: '請於6日前送出' },
+    { type: 'added', left: null, right: '新增說明' },
+    { type: 'same', left: '謝謝', right: '謝謝' }
+  ], rows);
+  assertDeepEquals('diffLines: 刪除的行', ['same', 'remove'], diffLines('a\nb', 'a').map(line => line.type));
+}
+
+function test_pickRevisionedSettings_skipsRuntimeKeys() {
+  const snapshot = pickRevisionedSettings({
+    senderName: '會計處', holidayCache: '{}', holidayCacheUpdated: 'x', holidayCacheTtlDays: '7', triggerHourSend: '9'
+  });
+  assertDeepEquals('pickRevisionedSettings: 排除假日快取與排程時間', { holidayCacheTtlDays: '7', senderName: '會計處' }, snapshot);
+}
+
+function test_compareSettingsSnapshots() {
+  const before = {
+    senderName: '會計處', templateIds: '["a","b"]',
+    'template.a': JSON.stringify({ name: '一般', subject: '請款通知' }),
+    'template.b': JSON.stringify({ name: '12月', subject: '年底請款' })
+  };
+  const after = {
+    senderName: '財會處', templateIds: '["a","c"]',
+    'template.a': JSON.stringify({ name: '一般', subject: '請款通知 (更新)' }),
+    'template.c': JSON.stringify({ name: '春節', subject: '春節請款' })
+  };
+  const diff = compareSettingsSnapshots(before, after);
+  assertDeepEquals('compareSettingsSnapshots: 範本狀態', [['a', 'changed'], ['c', 'added'], ['b', 'removed']],
+      diff.templates.map(t => [t.id, t.status]));
+  assertEquals('compareSettingsSnapshots: 主旨差異', 'changed', diff.templates[0].subject[0].type);
+  assertDeepEquals('compareSettingsSnapshots: 其他變動的設定', ['寄件人顯示名稱'], diff.otherChanges);
+
+  const campaigns = JSON.stringify([{ id: 'default', name: '請款' }, { id: 'tax', name: '營業稅' }]);
+  const taxBefore = Object.assign({}, before, {
+    campaigns: campaigns, 'c.tax.recipient': 'a@example.com', 'c.tax.templateIds': '["t"]',
+    'c.tax.template.t': JSON.stringify({ name: '申報', subject: '營業稅申報' })
+  });
+  const taxAfter = Object.assign({}, taxBefore, {
+    'c.tax.recipient': 'b@example.com', 'c.tax.template.t': JSON.stringify({ name: '申報', subject: '營業稅申報 (更新)' })
+  });
+  const taxDiff = compareSettingsSnapshots(taxBefore, taxAfter);
+  assertDeepEquals('compareSettingsSnapshots: 依活動比較範本', [['請款', 'a', 'same'], ['請款', 'b', 'same'], ['營業稅', 't', 'changed']],
+      taxDiff.templates.map(t => [t.campaign, t.id, t.status]));
+  assertDeepEquals('compareSettingsSnapshots: 活動專屬設定加上活動名稱', ['營業稅：收件者 Email'], taxDiff.otherChanges);
+}
+
+function test_validateSettingField() {
+  assertDeepEquals('validateSettingField: 空白可略過', [], validateSettingField(SETTINGS_SCHEMA.holidayCacheTtlDays, ''));
+  assertDeepEquals('validateSettingField: 整數範圍', ['假日快取有效天數需為 1 到 90 的整數'],
+      validateSettingField(SETTINGS_SCHEMA.holidayCacheTtlDays, '120'));
+  assertDeepEquals('validateSettingField: JSON 清單', ['自訂變數格式錯誤'], validateSettingField(SETTINGS_SCHEMA.customVariables, '{"a":1}'));
+}
+
+function test_collectTemplateLibraryErrors_requiresSubjectAndBody() {
+  const settings = {
+    templateIds: '["a","b"]',
+    'template.a': JSON.stringify({ name: '一般', subject: ' ', body: '內文' }),
+    'template.b': JSON.stringify({ name: '草稿', enabled: false })
+  };
+  assertDeepEquals('collectTemplateLibraryErrors: 啟用中的範本需有主旨與內文', [
+    { field: 'template.a', message: '範本「一般」的主旨不可空白' }
+  ], collectTemplateLibraryErrors(settings));
+}
+
+function test_collectPropertySizeErrors() {
+  const longBody = new Array(3100).join('款'); // 每個中文字 3 bytes
+  const settings = { templateIds: '["a"]', 'template.a': JSON.stringify({ name: '一般', body: longBody }) };
+  const errors = collectPropertySizeErrors(settings, {});
+  assertEquals('collectPropertySizeErrors: 單一範本超過 9KB', 'template.a', errors.length === 1 ? errors[0].field : errors.length);
+  const existing = { 'template.old': new Array(600 * 1024).join('a') };
+  assertDeepEquals('collectPropertySizeErrors: 將被清除的範本不列入合計', [],
+      collectPropertySizeErrors({ templateIds: '["a"]', 'template.a': '{}' }, existing));
+}
+
+function test_parseSettingsExport() {
+  const json = JSON.stringify({
+    format: SETTINGS_EXPORT_FORMAT, version: 1,
+    settings: { senderName: '會計處', holidayCache: '{}', holidayCacheTtlDays: 7 }
+  });
+  assertDeepEquals('parseSettingsExport: 只取出設定並轉為字串', { holidayCacheTtlDays: '7', senderName: '會計處' }, parseSettingsExport(json));
+  let message = '';
+  try {
+    parseSettingsExport('{"settings":{}}');
+  } catch (e) {
+    message = e.message;
+  }
+  assertEquals('parseSettingsExport: 拒絕其他格式', '檔案不是本工具匯出的設定檔', message);
+}
+
+function test_resolveRuleDate_tracesSkippedDays() {
+  // 2026/1/25 為週日，往前調整到 1/23 (週五)
+  const trace = [];
+  const date = resolveRuleDate(normalizeScheduleRule(null, DEFAULT_SEND_RULE), 2026, 1, [], [], trace);
+  assertEquals('resolveRuleDate: 調整後日期', '2026/1/23', formatDate(date));
+  assertDeepEquals('resolveRuleDate: 記錄略過的日期', ['2026/1/25', '2026/1/24'], trace.map(formatDate));
+}
+
+function test_buildScheduleForecast() {
+  const holiday = new Date(2026, 0, 23).getTime();
+  const holidayData = { holidays: [holiday], workdays: [], coverage: { 2026: 'google' } };
+  const templates = [normalizeTemplate({ name: '一般' }, 0)];
+  const rows = buildScheduleForecast(templates, holidayData, new Date(2026, 0, 10), 12, { [holiday]: '公司尾牙' });
+  assertEquals('buildScheduleForecast: 產生 12 個月', 12, rows.length);
+  assertEquals('buildScheduleForecast: 寄信日避開假日', '2026/1/22', formatDate(rows[0].sendDate));
+  assertDeepEquals('buildScheduleForecast: 列出造成調整的假日', ['2026/1/23 (五) 公司尾牙'], rows[0].sendShifts);
+  assertDeepEquals('buildScheduleForecast: 一般月份沒有警示', [], rows[5].warnings);
+  assertDeepEquals('buildScheduleForecast: 截止日年度缺少假日資料', ['假日資料未涵蓋 2027 年，日期可能不正確'], rows[11].warnings);
+}
+
+// 測試用執行環境：不存取試算表、屬性或 Gmail，寄出的信件與紀錄收集在 env.sent / env.history
+// 寄信監控狀態存在 env.state，安排的重試記在 env.retries，核准請求記在 env.approvals
+function createTestSendEnvironment(date, overrides) {
+  const env = {
+    sent: [],
+    history: [],
+    alerts: [],
+    state: {},
+    retries: [],
+    approvals: [],
+    now: () => new Date(date.getTime()),
+    getSettings: () => ({
+      senderName: '會計處',
+      templateIds: '["a"]',
+      'template.a': JSON.stringify({ name: '一般', subject: '{{rocYear}}年{{currentMonth}}月請款', body: '請於{{deadlineDate}}前送出' })
+    }),
+    getHolidayData: () => ({ holidays: [], workdays: [], coverage: { 2026: 'google' } }),
+    resolveRecipients: () => ({ to: ['staff@example.com'], cc: [], bcc: [] }),
+    hasSuccessfulSend: () => false,
+    prepareDriveAttachments: () => ({ links: [], attachments: [], warnings: [] }),
+    getSignature: () => '',
+    getSenderEmail: () => 'me@example.com',
+    getSendAs: () => null,
+    getRemainingQuota: () => 100,
+    resolveAlerts: () => {},
+    getLock: () => ({ tryLock: () => true, releaseLock: () => {} })
+  };
+  env.sendEmail = message => env.sent.push(message);
+  env.recordSendHistory = entry => env.history.push(entry);
+  env.sendAlert = subject => env.alerts.push(subject);
+  env.readState = key => env.state[key] === undefined ? null : JSON.parse(env.state[key]);
+  env.writeState = (key, value) => {
+    if (value === null) delete env.state[key];
+    else env.state[key] = JSON.stringify(value);
+  };
+  env.scheduleRetry = minutes => env.retries.push(minutes);
+  env.sendApprovalRequest = message => env.approvals.push(message);
+  env.createDraft = () => 'draft-1';
+  env.getSpreadsheetInfo = () => ({ url: 'https://docs.google.com/spreadsheets/d/test', name: '請款通知' });
+  return Object.assign(env, overrides || {});
+}
+
+function test_sendMonthlyEmail_sendsOnSendDate() {
+  // 2026/1/25 為週日，寄信日往前調整到 1/23
+  const env = createTestSendEnvironment(new Date(2026, 0, 23, 9));
+  const result = sendMonthlyEmail(null, {}, env);
+  assertEquals('sendMonthlyEmail: 寄信日當天寄出', 'sent', result.status);
+  assertDeepEquals('sendMonthlyEmail: 信件內容', ['staff@example.com', '115年1月請款'], [env.sent[0].to, env.sent[0].subject]);
+  assertEquals('sendMonthlyEmail: 內文使用注入的假日資料', true, env.sent[0].body.indexOf('請於115年2月5日前送出') === 0);
+  assertEquals('sendMonthlyEmail: 寫入寄信紀錄', true, env.history.length === 1 && env.history[0].success);
+}
+
+function test_sendMonthlyEmail_skipsOtherDays() {
+  const env = createTestSendEnvironment(new Date(2026, 0, 22, 9));
+  assertEquals('sendMonthlyEmail: 非寄信日不寄出', 'notSendDate', sendMonthlyEmail(null, {}, env).status);
+  const sentEnv = createTestSendEnvironment(new Date(2026, 0, 23, 9), { hasSuccessfulSend: () => true });
+  assertEquals('sendMonthlyEmail: 本月已寄過不重複寄出', 'alreadySent', sendMonthlyEmail(null, {}, sentEnv).status);
+  assertEquals('sendMonthlyEmail: 沒有呼叫寄信', 0, env.sent.length + sentEnv.sent.length);
+}
+
+function test_sendMonthlyEmail_pausesWithoutHolidayCoverage() {
+  // 12月的截止日在次年 1 月，次年沒有假日資料時暫停寄送
+  const env = createTestSendEnvironment(new Date(2026, 11, 25, 9));
+  const result = sendMonthlyEmail(null, {}, env);
+  assertEquals('sendMonthlyEmail: 缺少假日資料時暫停', 'missingHolidayData', result.status);
+  assertEquals('sendMonthlyEmail: 暫停時發出警示', 1, env.alerts.length);
+}
+
+function test_runDryRun_capturesWithoutSending() {
+  const env = createTestSendEnvironment(new Date(2026, 0, 1));
+  const report = runDryRun(new Date(2026, 0, 23, 9), env);
+  assertEquals('runDryRun: 以指定日期執行', 'sent', report.status);
+  assertEquals('runDryRun: 信件收集在報告中而不寄出', true, report.messages.length === 1 && env.sent.length === 0);
+  assertEquals('runDryRun: 不寫入寄信紀錄', true, report.history.length === 1 && env.history.length === 0);
+  assertEquals('runDryRun: 報告顯示主旨', true, buildDryRunReportHtml(report).indexOf('115年1月請款') !== -1);
+}
+
+function test_planSendRetry_limitsAttemptsPerDay() {
+  const now = new Date(2026, 0, 23, 9);
+  assertEquals('planSendRetry: 不需重試的結果', null, planSendRetry('noTemplate', null, now));
+  const first = planSendRetry('failed', null, now);
+  assertDeepEquals('planSendRetry: 第一次重試', [true, 1, 10], [first.retry, first.attempts, first.at.getHours()]);
+  assertEquals('planSendRetry: 達到上限後不再重試', false, planSendRetry('error', { date: '2026/1/23', attempts: 3 }, now).retry);
+  assertEquals('planSendRetry: 前一天的次數不列入', 1, planSendRetry('locked', { date: '2026/1/22', attempts: 3 }, now).attempts);
+  assertEquals('planSendRetry: 重試時間跨日時不重試', false, planSendRetry('failed', null, new Date(2026, 0, 23, 23, 30)).retry);
+}
+
+function test_splitRecipientBatches_respectsLimitAndQuota() {
+  const emails = count => Array.from({ length: count }, (_, i) => `u${i}@example.com`);
+  const batches = splitRecipientBatches({ to: emails(60), cc: [], bcc: emails(3) }, 50);
+  assertDeepEquals('splitRecipientBatches: 每封不超過上限', [[49, 0, 0], [11, 0, 3]],
+      batches.map(batch => [batch.to.length, batch.cc.length, batch.bcc.length]));
+  const plan = planQuotaBatches(batches, 55);
+  assertDeepEquals('planQuotaBatches: 超過配額的批次延後', [1, 1], [plan.now.length, plan.later.length]);
+  assertEquals('planQuotaBatches: 只有 CC/BCC 時寄件人也計入配額', 0,
+      planQuotaBatches([{ to: [], cc: ['a@example.com'], bcc: [] }], 1).now.length);
+  assertEquals('mergeRecipientBatches: 合併收件者', 63, countRecipients(mergeRecipientBatches(batches)));
+}
+
+function test_sendMonthlyEmail_retriesFailedTriggerRuns() {
+  const env = createTestSendEnvironment(new Date(2026, 0, 23, 9), {
+    sendEmail: () => { throw new Error('Service invoked too many times'); }
+  });
+  const statuses = [0, 1, 2, 3].map(() => sendMonthlyEmail({ triggerUid: 't1' }, {}, env).status);
+  assertDeepEquals('sendMonthlyEmail: 失敗時回傳 failed', ['failed', 'failed', 'failed', 'failed'], statuses);
+  assertEquals('sendMonthlyEmail: 當天最多重試 3 次', 3, env.retries.length);
+  assertEquals('sendMonthlyEmail: 只在第一次與最後一次失敗時通知', 2, env.alerts.length);
+
+  const manual = createTestSendEnvironment(new Date(2026, 0, 23, 9), {
+    sendEmail: () => { throw new Error('Service invoked too many times'); }
+  });
+  sendMonthlyEmail(null, {}, manual);
+  assertDeepEquals('sendMonthlyEmail: 手動執行失敗只通知不重試', [0, 1], [manual.retries.length, manual.alerts.length]);
+}
+
+function test_sendMonthlyEmail_defersRecipientsOverQuota() {
+  const to = Array.from({ length: 60 }, (_, i) => `u${i}@example.com`);
+  const env = createTestSendEnvironment(new Date(2026, 0, 23, 9), {
+    resolveRecipients: () => ({ to: to, cc: [], bcc: [] }),
+    getRemainingQuota: () => 55
+  });
+  const result = sendMonthlyEmail({ triggerUid: 't1' }, {}, env);
+  assertEquals('sendMonthlyEmail: 配額不足時部分寄出', 'partial', result.status);
+  assertDeepEquals('sendMonthlyEmail: 延後的收件者存入待寄清單', [1, 11],
+      [env.sent.length, env.readState(SEND_STATE_KEYS.pending)[0].recipients.to.length]);
+  assertEquals('sendMonthlyEmail: 等待補寄時不重新寄送', 'pending', sendMonthlyEmail(null, {}, Object.assign(env, { getRemainingQuota: () => 0 })).status);
+
+  env.now = () => new Date(2026, 0, 24, 9);
+  env.getRemainingQuota = () => 100;
+  assertEquals('sendMonthlyEmail: 隔天照常判斷寄信日', 'notSendDate', sendMonthlyEmail({ triggerUid: 't1' }, {}, env).status);
+  assertDeepEquals('sendMonthlyEmail: 隔天補寄其餘收件者', [2, 11, null],
+      [env.sent.length, env.sent[1].to.split(',').length, env.readState(SEND_STATE_KEYS.pending)]);
+}
+
+function test_resumePendingSends_keepsEntryWhenResendFails() {
+  const env = createTestSendEnvironment(new Date(2026, 0, 24, 9), {
+    sendEmail: () => { throw new Error('Invalid argument: from'); }
+  });
+  const entry = { year: 2026, month: 1, kind: 'official', recipients: { to: ['late@example.com'], cc: [], bcc: [] }, options: {} };
+  env.writeState(SEND_STATE_KEYS.pending, [entry]);
+  resumePendingSends(env);
+  assertDeepEquals('resumePendingSends: 補寄失敗時保留在待寄清單', [entry], env.readState(SEND_STATE_KEYS.pending));
+  assertEquals('resumePendingSends: 補寄失敗時通知管理員', true, env.alerts.some(subject => subject.indexOf('補寄失敗') !== -1));
+  assertEquals('resumePendingSends: 寫入失敗紀錄', false, env.history[0].success);
+
+  env.sendEmail = message => env.sent.push(message);
+  resumePendingSends(env);
+  assertDeepEquals('resumePendingSends: 補寄成功後移出清單', [1, null], [env.sent.length, env.readState(SEND_STATE_KEYS.pending)]);
+}
+
+function test_buildSubmissionEntries() {
+  const directory = [
+    { email: 'Amy@example.com', name: 'Amy', department: '業務', company: 'TF' },
+    { email: 'boss@example.com', name: 'Boss', department: '業務', company: 'TF' }
+  ];
+  const entries = buildSubmissionEntries({ to: ['amy@example.com', 'ben@example.com'], cc: ['boss@example.com'], bcc: ['AMY@example.com'] }, directory);
+  assertDeepEquals('buildSubmissionEntries: 不含 CC 且不重複，姓名部門取自名單',
+      [['amy@example.com', 'Amy', '業務'], ['ben@example.com', '', '']],
+      entries.map(entry => [entry.email, entry.name, entry.department]));
+  assertDeepEquals('findNewSubmissionEntries: 已在追蹤表的對象不重複新增', ['ben@example.com'],
+      findNewSubmissionEntries([{ email: 'AMY@example.com' }], entries).map(entry => entry.email));
+}
+
+function test_getSubmissionSheetName() {
+  assertEquals('getSubmissionSheetName: 預設活動沿用原本的工作表', '繳交追蹤', getSubmissionSheetName('default'));
+  assertEquals('getSubmissionSheetName: 其他活動加上活動代碼', '繳交追蹤 (tax)', getSubmissionSheetName('tax'));
+}
+
+function test_summarizeSubmissions() {
+  const summary = summarizeSubmissions([
+    { department: '業務', submitted: true },
+    { department: '業務', submitted: false },
+    { department: '研究', submitted: false },
+    { department: '研究', submitted: false },
+    { department: '', submitted: true }
+  ]);
+  assertDeepEquals('summarizeSubmissions: 總數', [5, 2, 3], [summary.total, summary.submitted, summary.outstanding]);
+  assertDeepEquals('summarizeSubmissions: 部門依未繳交人數排序',
+      [['研究', 2], ['業務', 1], ['(未分部門)', 0]],
+      summary.departments.map(d => [d.department, d.outstanding]));
+}
+
+function test_countWorkingDaysLeft() {
+  const holidays = [new Date(2026, 0, 27).getTime()];
+  // 1/23 (五) 到 1/28 (三)：略過週末與 1/27 假日，剩 1/26、1/28 兩個工作日
+  assertEquals('countWorkingDaysLeft: 略過週末與假日', 2, countWorkingDaysLeft(new Date(2026, 0, 23, 15), new Date(2026, 0, 28), holidays, []));
+  assertEquals('countWorkingDaysLeft: 截止日當天', 0, countWorkingDaysLeft(new Date(2026, 0, 28, 9), new Date(2026, 0, 28), holidays, []));
+  assertEquals('countWorkingDaysLeft: 已逾期', -2, countWorkingDaysLeft(new Date(2026, 0, 30, 9), new Date(2026, 0, 28), holidays, []));
+}
+
+function test_evaluateApproval() {
+  const state = { year: 2026, month: 1, status: 'pending', hash: 'abc' };
+  assertEquals('evaluateApproval: 其他月份的請求', '尚未送出核准請求', evaluateApproval(state, 2026, 2, 'abc').reason);
+  assertEquals('evaluateApproval: 尚未核准', false, evaluateApproval(state, 2026, 1, 'abc').approved);
+  const approved = decideApproval(state, true, 'boss@example.com', new Date(2026, 0, 22));
+  assertDeepEquals('decideApproval: 記錄核准人', ['approved', 'boss@example.com'], [approved.status, approved.decidedBy]);
+  assertEquals('evaluateApproval: 已核准', true, evaluateApproval(approved, 2026, 1, 'abc').approved);
+  assertEquals('evaluateApproval: 核准後內容變更', false, evaluateApproval(approved, 2026, 1, 'def').approved);
+  assertEquals('hashText: 內容不同時雜湊不同', false, hashText('115年2月5日') === hashText('115年2月6日'));
+}
+
+function test_getApproverDenial() {
+  const approvers = ['Boss@example.com'];
+  assertEquals('getApproverDenial: 核准人 (不分大小寫)', '', getApproverDenial(approvers, 'boss@EXAMPLE.com'));
+  assertEquals('getApproverDenial: 非核准人', true, getApproverDenial(approvers, 'staff@example.com').indexOf('只有核准人') === 0);
+  assertEquals('getApproverDenial: 無法取得使用者時拒絕', true, getApproverDenial(approvers, '') !== '');
+  assertEquals('getApproverDenial: 未設定核准人', '', getApproverDenial([], ''));
+}
+
+// 寄信日 2026/1/23 (五)，提前 2 個工作日送核為 1/21 (三)
+function createApprovalTestSettings(fallback) {
+  return {
+    senderName: '會計處',
+    templateIds: '["a"]',
+    'template.a': JSON.stringify({ name: '一般', subject: '{{rocYear}}年{{currentMonth}}月請款', body: '請於{{deadlineDate}}前送出' }),
+    approvalMode: 'draft',
+    approverEmail: 'boss@example.com',
+    approvalLeadDays: '2',
+    approvalFallback: fallback
+  };
+}
+
+function test_sendMonthlyEmail_waitsForApproval() {
+  const settings = createApprovalTestSettings('hold');
+  const env = createTestSendEnvironment(new Date(2026, 0, 20, 9), { getSettings: () => settings });
+  sendMonthlyEmail({ triggerUid: 't1' }, {}, env);
+  assertEquals('sendMonthlyEmail: 送核日前不送核', 0, env.approvals.length);
+
+  env.now = () => new Date(2026, 0, 21, 9);
+  sendMonthlyEmail({ triggerUid: 't1' }, {}, env);
+  sendMonthlyEmail({ triggerUid: 't1' }, {}, env);
+  assertDeepEquals('sendMonthlyEmail: 送核日寄出一次核准請求', [1, 'boss@example.com', '【待核准】115年1月請款'],
+      [env.approvals.length, env.approvals[0].to, env.approvals[0].subject]);
+  assertEquals('sendMonthlyEmail: 核准請求包含預覽', true, env.approvals[0].htmlBody.indexOf('請於115年2月5日前送出') !== -1);
+
+  env.now = () => new Date(2026, 0, 23, 9);
+  assertEquals('sendMonthlyEmail: 未核准時暫停', 'awaitingApproval', sendMonthlyEmail({ triggerUid: 't1' }, {}, env).status);
+  assertDeepEquals('sendMonthlyEmail: 暫停時不寄出並通知', [0, 1, 0], [env.sent.length, env.alerts.length, env.retries.length]);
+
+  env.writeState(SEND_STATE_KEYS.approval, decideApproval(env.readState(SEND_STATE_KEYS.approval), true, 'boss@example.com', env.now()));
+  assertEquals('sendMonthlyEmail: 核准後寄出', 'sent', sendMonthlyEmail(null, {}, env).status);
+
+  const changed = createTestSendEnvironment(new Date(2026, 0, 23, 9), {
+    getSettings: () => Object.assign({}, settings, {
+      'template.a': JSON.stringify({ name: '一般', subject: '{{rocYear}}年{{currentMonth}}月請款', body: '已修改的內文' })
+    })
+  });
+  changed.state = env.state;
+  assertEquals('sendMonthlyEmail: 核准後內容變更需重新核准', 'awaitingApproval', sendMonthlyEmail(null, {}, changed).status);
+}
+
+function test_sendMonthlyEmail_approvalFallbackSends() {
+  const env = createTestSendEnvironment(new Date(2026, 0, 23, 9), { getSettings: () => createApprovalTestSettings('send') });
+  assertEquals('sendMonthlyEmail: 設定照常寄出時未核准也寄出', 'sent', sendMonthlyEmail(null, {}, env).status);
+  assertDeepEquals('sendMonthlyEmail: 寄信日才補送核准請求並通知管理員', [1, 1], [env.approvals.length, env.alerts.length]);
+}
+
+function test_sendMonthlyEmail_resubmitsAfterRejection() {
+  let settings = createApprovalTestSettings('hold');
+  const env = createTestSendEnvironment(new Date(2026, 0, 21, 9), { getSettings: () => settings });
+  const reject = () => env.writeState(SEND_STATE_KEYS.approval,
+      decideApproval(env.readState(SEND_STATE_KEYS.approval), false, 'boss@example.com', env.now()));
+  sendMonthlyEmail({ triggerUid: 't1' }, {}, env);
+  reject();
+  env.now = () => new Date(2026, 0, 23, 9);
+  assertEquals('sendMonthlyEmail: 退回後暫停', 'awaitingApproval', sendMonthlyEmail({ triggerUid: 't1' }, {}, env).status);
+  assertEquals('sendMonthlyEmail: 內容未修改時排程不重新送核', 1, env.approvals.length);
+
+  // 寄信日過後修改範本，排程重新送核，核准後立即補寄修改後的內容
+  settings = Object.assign({}, settings, {
+    'template.a': JSON.stringify({ name: '一般', subject: '{{rocYear}}年{{currentMonth}}月請款', body: '已修改的內文' })
+  });
+  env.now = () => new Date(2026, 0, 26, 9);
+  sendMonthlyEmail({ triggerUid: 't1' }, {}, env);
+  const state = env.readState(SEND_STATE_KEYS.approval);
+  assertDeepEquals('sendMonthlyEmail: 修改後重新送核並維持暫停', [2, 'pending', true], [env.approvals.length, state.status, state.held]);
+  const approved = decideApproval(state, true, 'boss@example.com', env.now());
+  env.writeState(SEND_STATE_KEYS.approval, approved);
+  assertEquals('sendHeldMonthlyEmail: 核准後補寄', '正式信已寄出。', sendHeldMonthlyEmail(approved, env));
+  assertDeepEquals('sendHeldMonthlyEmail: 寄出修改後的內容', [1, true], [env.sent.length, env.sent[0].body.indexOf('已修改的內文') === 0]);
+  assertEquals('sendHeldMonthlyEmail: 清除暫停狀態', false, env.readState(SEND_STATE_KEYS.approval).held);
+
+  // 由選單手動執行時，已退回的信件即使內容未修改也重新送核
+  const manual = createTestSendEnvironment(new Date(2026, 0, 23, 9), { getSettings: () => createApprovalTestSettings('hold') });
+  sendMonthlyEmail({ triggerUid: 't1' }, {}, manual);
+  manual.writeState(SEND_STATE_KEYS.approval,
+      decideApproval(manual.readState(SEND_STATE_KEYS.approval), false, 'boss@example.com', manual.now()));
+  assertEquals('sendMonthlyEmail: 手動執行時仍暫停', 'awaitingApproval', sendMonthlyEmail(null, {}, manual).status);
+  assertDeepEquals('sendMonthlyEmail: 手動執行時重新送核', [2, 'pending'],
+      [manual.approvals.length, manual.readState(SEND_STATE_KEYS.approval).status]);
+}
+
+function test_getCampaigns_defaultsToSingleCampaign() {
+  assertDeepEquals('getCampaigns: 未建立時只有預設活動', [{ id: 'default', name: '每月請款通知', enabled: true }], getCampaigns({}));
+  const campaigns = getCampaigns({
+    campaigns: JSON.stringify([{ id: 'tax', name: '營業稅', enabled: false }, { id: 'default', name: '請款' }, { id: 'bad id', name: 'x' }])
+  });
+  assertDeepEquals('getCampaigns: 預設活動排第一並略過無效代碼', ['default', 'tax'], campaigns.map(c => c.id));
+  assertEquals('getCampaigns: 保留停用狀態', false, campaigns[1].enabled);
+}
+
+function test_getCampaignSettings_separatesCampaigns() {
+  const properties = {
+    recipient: 'a@example.com',
+    templateIds: '["x"]',
+    'template.x': '{}',
+    adminEmail: 'admin@example.com',
+    sendRetryState: '{"attempts":1}',
+    alertStatus: '[]',
+    'c.tax.recipient': 'b@example.com',
+    'c.tax.templateIds': '[]',
+    'c.tax.sendRetryState': '{"attempts":2}'
+  };
+  const main = getCampaignSettings(properties, 'default');
+  assertDeepEquals('getCampaignSettings: 預設活動不含其他活動的設定',
+      ['a@example.com', '["x"]', '{"attempts":1}', undefined], [main.recipient, main.templateIds, main.sendRetryState, main['c.tax.recipient']]);
+  const tax = getCampaignSettings(properties, 'tax');
+  assertDeepEquals('getCampaignSettings: 其他活動只看得到自己的設定與共用設定',
+      ['b@example.com', '[]', undefined, 'admin@example.com', '{"attempts":2}', '[]'],
+      [tax.recipient, tax.templateIds, tax['template.x'], tax.adminEmail, tax.sendRetryState, tax.alertStatus]);
+}
+
+function test_toCampaignProperties_prefixesScopedKeys() {
+  const settings = { recipient: 'b@example.com', 'template.y': '{}', followUps: '[]', customVariables: '[]' };
+  assertDeepEquals('toCampaignProperties: 活動設定加上前綴，共用設定不變',
+      { 'c.tax.recipient': 'b@example.com', 'c.tax.template.y': '{}', 'c.tax.followUps': '[]', customVariables: '[]' },
+      toCampaignProperties(settings, 'tax'));
+  assertDeepEquals('toCampaignProperties: 預設活動維持原本的屬性名稱', settings, toCampaignProperties(settings, 'default'));
+  const roundTrip = getCampaignSettings(toCampaignProperties(settings, 'tax'), 'tax');
+  assertDeepEquals('toCampaignProperties: 與 getCampaignSettings 互為反向', settings, roundTrip);
+}
+
+function test_qualifyCampaignKind() {
+  assertEquals('qualifyCampaignKind: 預設活動維持原本的類型', 'official', qualifyCampaignKind('default', 'official'));
+  assertEquals('qualifyCampaignKind: 其他活動加上活動代碼', 'tax/followUp:f1', qualifyCampaignKind('tax', 'followUp:f1'));
+  assertDeepEquals('parseCampaignKind: 解析活動代碼', { campaignId: 'tax', kind: 'followUp:f1' }, parseCampaignKind('tax/followUp:f1'));
+  assertDeepEquals('parseCampaignKind: 舊紀錄屬於預設活動', { campaignId: 'default', kind: 'official' }, parseCampaignKind('official'));
+}
+
+function test_checkSendAsAlias() {
+  const alias = normalizeSendAs({ sendAsEmail: 'accounting@example.com', displayName: '會計處', verificationStatus: 'pending' });
+  assertDeepEquals('normalizeSendAs: 別名需通過驗證', [false, 'pending'], [alias.verified, alias.status]);
+  assertEquals('normalizeSendAs: 主要地址不需驗證', true, normalizeSendAs({ sendAsEmail: 'me@example.com', isPrimary: true }).verified);
+  assertEquals('checkSendAsAlias: 未驗證', true, checkSendAsAlias(alias, 'accounting@example.com').indexOf('尚未通過 Gmail 驗證') !== -1);
+  assertEquals('checkSendAsAlias: 別名已移除', true, checkSendAsAlias(null, 'accounting@example.com').indexOf('不在寄信帳號') !== -1);
+  alias.verified = true;
+  assertEquals('checkSendAsAlias: 可以使用', '', checkSendAsAlias(alias, 'accounting@example.com'));
+}
+
+function test_capSendQuota() {
+  assertEquals('capSendQuota: MailApp 使用剩餘配額', 1500, capSendQuota(1500, ''));
+  assertEquals('capSendQuota: 寄件別名保守限制', ALIAS_SEND_QUOTA_CAP, capSendQuota(1500, 'accounting@example.com'));
+  assertEquals('capSendQuota: 剩餘配額較少時以剩餘配額為準', 20, capSendQuota(20, 'accounting@example.com'));
+}
+
+function test_sendMonthlyEmail_sendsFromAlias() {
+  const settings = {
+    senderAlias: 'accounting@example.com',
+    templateIds: '["a"]',
+    'template.a': JSON.stringify({ name: '一般', subject: '{{rocYear}}年{{currentMonth}}月請款', body: '請於{{deadlineDate}}前送出' })
+  };
+  let alias = normalizeSendAs({ sendAsEmail: 'accounting@example.com', displayName: '會計處', signature: '<p>會計處分機 123</p>', verificationStatus: 'accepted' });
+  let quotaFrom = null;
+  const env = createTestSendEnvironment(new Date(2026, 0, 23, 9), {
+    getSettings: () => settings,
+    getSendAs: () => alias,
+    getRemainingQuota: from => {
+      quotaFrom = from;
+      return 100;
+    }
+  });
+  assertEquals('sendMonthlyEmail: 以寄件別名寄出', 'sent', sendMonthlyEmail(null, {}, env).status);
+  assertEquals('sendMonthlyEmail: 依寄件別名取得配額', 'accounting@example.com', quotaFrom);
+  assertDeepEquals('sendMonthlyEmail: 使用別名的地址與名稱', ['accounting@example.com', '會計處'], [env.sent[0].from, env.sent[0].name]);
+  assertEquals('sendMonthlyEmail: 使用別名的簽名檔', true, env.sent[0].htmlBody.indexOf('會計處分機 123') !== -1);
+
+  alias = Object.assign({}, alias, { verified: false, status: 'pending' });
+  const unverified = createTestSendEnvironment(new Date(2026, 0, 23, 9), { getSettings: () => settings, getSendAs: () => alias });
+  assertEquals('sendMonthlyEmail: 別名未驗證時不寄出', 'failed', sendMonthlyEmail(null, {}, unverified).status);
+  assertDeepEquals('sendMonthlyEmail: 別名未驗證時通知管理員', [0, 1], [unverified.sent.length, unverified.alerts.length]);
+}
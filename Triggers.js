@@ -0,0 +1,281 @@
+/**
+ * @fileoverview 觸發器管理：安裝、列出、修復與移除每日寄信及假日資料更新的時間觸發器。
+ * 供 onOpen 選單與 SettingsUI 的「排程管理」區塊呼叫。
+ */
+
+// =================================================================
+// SECTION: 觸發器定義
+// =================================================================
+
+// 由本工具管理的觸發器；hour 為預設執行時段 (腳本時區)，實際值存於 Script Properties
+const MANAGED_TRIGGERS = {
+  send: { handler: 'sendDueCampaigns', label: '每日寄信檢查', hourKey: 'triggerHourSend', defaultHour: 9 },
+  holiday: { handler: 'updateHolidayCache', label: '假日資料更新', hourKey: 'triggerHourHoliday', defaultHour: 3 },
+  followUp: { handler: 'sendFollowUpEmails', label: '追蹤提醒信檢查', hourKey: 'triggerHourFollowUp', defaultHour: 9 }
+};
+// 正式信排程執行失敗時建立的一次性重試觸發器 (見 SendMonitor.js)
+const RETRY_TRIGGER_HANDLER = 'retryMonthlyEmail';
+// 舊版的每日寄信觸發器只處理預設活動，修復排程時改為 sendDueCampaigns
+const LEGACY_TRIGGER_HANDLERS = ['sendMonthlyEmail'];
+
+function getManagedTriggerKey(handler) {
+  for (const key in MANAGED_TRIGGERS) {
+    if (MANAGED_TRIGGERS[key].handler === handler) return key;
+  }
+  return null;
+}
+
+function getTriggerHour(key) {
+  const saved = parseInt(scriptProperties.getProperty(MANAGED_TRIGGERS[key].hourKey), 10);
+  return (saved >= 0 && saved <= 23) ? saved : MANAGED_TRIGGERS[key].defaultHour;
+}
+
+// =================================================================
+// SECTION: 狀態分析 (純函式，方便測試)
+// =================================================================
+
+/**
+ * 分析專案觸發器，標記重複、孤立 (指向不存在函式) 與舊版 (legacy，需改為新的處理函式) 的觸發器。
+ * @param {Array<{id: string, handler: string}>} triggers 觸發器資訊。
+ * @param {function(string): boolean} handlerExists 判斷處理函式是否存在。
+ * @return {{entries: Array<Object>, missing: Array<string>}}
+ */
+function analyzeTriggers(triggers, handlerExists) {
+  const seen = {};
+  const entries = triggers.map(t => {
+    const key = getManagedTriggerKey(t.handler);
+    let status = 'ok';
+    if (!handlerExists(t.handler)) {
+      status = 'orphaned';
+    } else if (t.handler === RETRY_TRIGGER_HANDLER) {
+      status = 'retry';
+    } else if (LEGACY_TRIGGER_HANDLERS.indexOf(t.handler) !== -1) {
+      status = 'legacy';
+    } else if (key) {
+      status = seen[key] ? 'duplicate' : 'ok';
+      seen[key] = true;
+    } else {
+      status = 'other';
+    }
+    return { id: t.id, handler: t.handler, key: key, status: status };
+  });
+  const missing = Object.keys(MANAGED_TRIGGERS).filter(key => !seen[key]);
+  return { entries, missing };
+}
+
+/**
+ * 計算每日觸發器的下一次執行時間 (Apps Script 會在該小時內的任意時間執行)。
+ */
+function computeNextDailyRun(now, hour) {
+  const next = new Date(now.getFullYear(), now.getMonth(), now.getDate(), hour, 0, 0);
+  if (next.getTime() <= now.getTime()) {
+    next.setDate(next.getDate() + 1);
+  }
+  return next;
+}
+
+// =================================================================
+// SECTION: 觸發器操作
+// =================================================================
+
+function _listProjectTriggers() {
+  return ScriptApp.getProjectTriggers().map(t => ({
+    id: t.getUniqueId(),
+    handler: t.getHandlerFunction(),
+    trigger: t
+  }));
+}
+
+function _handlerExists(handler) {
+  return typeof globalThis[handler] === 'function';
+}
+
+function getTriggerStatus() {
+  try {
+    const now = new Date();
+    const triggers = _listProjectTriggers();
+    const analysis = analyzeTriggers(triggers, _handlerExists);
+
+    const schedule = Object.keys(MANAGED_TRIGGERS).map(key => {
+      const def = MANAGED_TRIGGERS[key];
+      const hour = getTriggerHour(key);
+      const installed = analysis.missing.indexOf(key) === -1;
+      return {
+        key: key,
+        label: def.label,
+        handler: def.handler,
+        hour: hour,
+        installed: installed,
+        nextRun: installed ? formatDateTime(computeNextDailyRun(now, hour)) : ''
+      };
+    });
+
+    // 各啟用中通知活動本月與下個月的寄信日；只有一個活動時 campaign 為空字串
+    const holidayData = getCachedHolidayData();
+    const properties = scriptProperties.getProperties();
+    const campaigns = getCampaigns(properties).filter(campaign => campaign.enabled);
+    const sendDates = [];
+    campaigns.forEach(campaign => {
+      const settings = getCampaignSettings(properties, campaign.id);
+      [0, 1].forEach(offset => {
+        const target = new Date(now.getFullYear(), now.getMonth() + offset, 1);
+        const year = target.getFullYear();
+        const month = target.getMonth() + 1;
+        const template = getTemplateForMonth(settings, year, month);
+        const rules = getScheduleRules(settings, year, month);
+        const sendDate = getSendDate(year, month, holidayData.holidays, holidayData.workdays, rules.sendRule);
+        sendDates.push({
+          campaign: campaigns.length > 1 ? campaign.name : '', year: year, month: month,
+          sendDate: sendDate ? formatDate(sendDate) : '', templateName: template ? template.name : ''
+        });
+      });
+    });
+
+    return {
+      entries: analysis.entries.map(e => ({ id: e.id, handler: e.handler, status: e.status })),
+      missing: analysis.missing,
+      schedule: schedule,
+      sendDates: sendDates,
+      holidayCacheUpdated: scriptProperties.getProperty('holidayCacheUpdated') || ''
+    };
+  } catch (e) {
+    logError(e, 'getTriggerStatus');
+    return null;
+  }
+}
+
+function installManagedTriggers(hours) {
+  try {
+    hours = hours || {};
+    const triggers = _listProjectTriggers();
+    const analysis = analyzeTriggers(triggers, _handlerExists);
+    const toCreate = analysis.missing.slice();
+    // 安裝新的每日寄信排程時一併移除舊版觸發器，避免預設活動每天檢查兩次
+    analysis.entries.forEach((entry, i) => {
+      if (entry.status === 'legacy') ScriptApp.deleteTrigger(triggers[i].trigger);
+    });
+    Object.keys(MANAGED_TRIGGERS).forEach(key => {
+      const hour = parseInt(hours[key], 10);
+      if (!(hour >= 0 && hour <= 23) || hour === getTriggerHour(key)) return;
+      scriptProperties.setProperty(MANAGED_TRIGGERS[key].hourKey, String(hour));
+      // 時段變更時需重建既有觸發器 (觸發器物件無法讀取或修改執行時段)
+      if (toCreate.indexOf(key) !== -1) return;
+      triggers.forEach(t => {
+        if (getManagedTriggerKey(t.handler) === key) ScriptApp.deleteTrigger(t.trigger);
+      });
+      toCreate.push(key);
+    });
+    toCreate.forEach(key => _createDailyTrigger(key));
+    console.log('已安裝排程:', toCreate.join(', ') || '(無變更)');
+    return toCreate.length ? `已安裝 ${toCreate.length} 個排程。` : '所有排程皆已安裝。';
+  } catch (e) {
+    logError(e, 'installManagedTriggers');
+    return '安裝排程失敗，請檢查日誌。';
+  }
+}
+
+function repairManagedTriggers() {
+  try {
+    const triggers = _listProjectTriggers();
+    const analysis = analyzeTriggers(triggers, _handlerExists);
+    let removed = 0;
+    analysis.entries.forEach((entry, i) => {
+      if (entry.status === 'duplicate' || entry.status === 'orphaned' || entry.status === 'legacy') {
+        ScriptApp.deleteTrigger(triggers[i].trigger);
+        removed++;
+      }
+    });
+    analysis.missing.forEach(key => _createDailyTrigger(key));
+    console.log(`修復排程：移除 ${removed} 個重複/孤立/舊版觸發器，新增 ${analysis.missing.length} 個排程。`);
+    return `已移除 ${removed} 個重複、孤立或舊版的觸發器，新增 ${analysis.missing.length} 個排程。`;
+  } catch (e) {
+    logError(e, 'repairManagedTriggers');
+    return '修復排程失敗，請檢查日誌。';
+  }
+}
+
+function removeManagedTriggers() {
+  try {
+    let removed = 0;
+    _listProjectTriggers().forEach(t => {
+      if (getManagedTriggerKey(t.handler) || t.handler === RETRY_TRIGGER_HANDLER || LEGACY_TRIGGER_HANDLERS.indexOf(t.handler) !== -1) {
+        ScriptApp.deleteTrigger(t.trigger);
+        removed++;
+      }
+    });
+    console.log(`已移除 ${removed} 個排程觸發器`);
+    return `已移除 ${removed} 個排程觸發器。`;
+  } catch (e) {
+    logError(e, 'removeManagedTriggers');
+    return '移除排程失敗，請檢查日誌。';
+  }
+}
+
+// 已有等待中的重試時不重複建立
+function scheduleSendRetry(minutes) {
+  if (_listProjectTriggers().some(t => t.handler === RETRY_TRIGGER_HANDLER)) return false;
+  ScriptApp.newTrigger(RETRY_TRIGGER_HANDLER)
+      .timeBased()
+      .after(minutes * 60 * 1000)
+      .create();
+  return true;
+}
+
+function deleteTriggerByUid(uid) {
+  if (!uid) return;
+  _listProjectTriggers().forEach(t => {
+    if (t.id === uid) ScriptApp.deleteTrigger(t.trigger);
+  });
+}
+
+function _createDailyTrigger(key) {
+  ScriptApp.newTrigger(MANAGED_TRIGGERS[key].handler)
+      .timeBased()
+      .everyDays(1)
+      .atHour(getTriggerHour(key))
+      .create();
+}
+
+// =================================================================
+// SECTION: 選單動作
+// =================================================================
+
+function menuInstallTriggers() {
+  SpreadsheetApp.getUi().alert(installManagedTriggers());
+}
+
+function menuRepairTriggers() {
+  SpreadsheetApp.getUi().alert(repairManagedTriggers());
+}
+
+function menuRemoveTriggers() {
+  const ui = SpreadsheetApp.getUi();
+  const response = ui.alert('確定要移除所有自動寄信排程嗎？', ui.ButtonSet.YES_NO);
+  if (response !== ui.Button.YES) return;
+  ui.alert(removeManagedTriggers());
+}
+
+function menuShowTriggerStatus() {
+  const ui = SpreadsheetApp.getUi();
+  const status = getTriggerStatus();
+  if (!status) {
+    ui.alert('無法取得排程狀態，請檢查日誌。');
+    return;
+  }
+  ui.alert('排程狀態', describeTriggerStatus(status), ui.ButtonSet.OK);
+}
+
+function describeTriggerStatus(status) {
+  const statusLabels = { ok: '正常', duplicate: '重複', orphaned: '孤立 (函式不存在)', retry: '等待重試', legacy: '舊版 (只寄預設活動)', other: '其他' };
+  const lines = status.schedule.map(s =>
+      `${s.label} (${s.handler})：${s.installed ? `已安裝，每日 ${s.hour} 點，下次約 ${s.nextRun}` : '未安裝'}`);
+  const problems = status.entries.filter(e => e.status === 'duplicate' || e.status === 'orphaned' || e.status === 'legacy');
+  if (problems.length) {
+    lines.push('');
+    lines.push('發現異常觸發器 (可使用「修復排程」處理)：');
+    problems.forEach(p => lines.push(`- ${p.handler}：${statusLabels[p.status]}`));
+  }
+  lines.push('');
+  status.sendDates.forEach(d => lines.push(`${d.campaign ? d.campaign + ' ' : ''}${d.year}/${d.month} 寄信日：${d.sendDate || '無有效寄信日'} (範本：${d.templateName || '無適用範本'})`));
+  return lines.join('\n');
+}